@@ -0,0 +1,244 @@
+// Table Diagnostics
+//
+// Finds what makes a markdown table render wrongly or not at all, with no DOM
+// access: rows with too few or too many cells, header rows whose separator
+// line is missing or broken, and empty or repeated header names. Each problem
+// comes with fixes that rewrite lines of the document.
+//
+// A diagnostic is { line, severity, code, message, table, row, fixes }. `line`
+// is the 0-based document line (null when the problem is not on one line),
+// `table` the index of the table in findTables() of table-dialects.mjs (null
+// when the parser did not recognize one) and `row` the table row, 0 being the header. A fix is
+// { label, title, start, end, lines }: lines start..end (exclusive) of the
+// document are replaced by `lines`.
+
+import * as Table from './table-model.mjs';
+import * as Dialects from './table-dialects.mjs';
+
+// Separator lines as they tend to be mistyped: dashes, equals signs, colons and pipes
+const SEPARATOR_LIKE = /^[\s|:=-]*[-=][\s|:=-]*$/;
+
+// A lone run of dashes or equals signs underlines a setext heading instead
+const HEADING_UNDERLINE = /^\s*(?:-+|=+)\s*$/;
+
+// Every problem in a markdown document, in line order
+export function diagnoseMarkdown(markdown) {
+    const lines = markdown.split(/\r?\n/);
+    const tables = Dialects.findTables(markdown);
+    const diagnostics = [];
+
+    // Lines the scan for unrecognized tables skips
+    const claimed = fencedLines(lines);
+    tables.forEach((entry, index) => {
+        for (let i = entry.startLine; i < entry.endLine; i++) claimed.add(i);
+        // The other dialects line their cells up by construction
+        if (entry.dialect === 'gfm') diagnostics.push(...diagnoseTable(entry, index, lines));
+    });
+
+    for (let i = 0; i < lines.length; i++) {
+        if (claimed.has(i)) continue;
+
+        const found = diagnoseUnrecognized(lines, i, claimed);
+        if (found) {
+            diagnostics.push(found.diagnostic);
+            i = found.end - 1;
+        }
+    }
+
+    if (tables.length === 0 && diagnostics.length === 0 && markdown.trim()) {
+        diagnostics.push(createDiagnostic(null, 'error', 'no-table',
+            'No table found. A table needs a header row, a separator line like | --- | --- | and rows of cells between pipes'));
+    }
+
+    return diagnostics.sort((a, b) => (a.line ?? -1) - (b.line ?? -1));
+}
+
+// The document with one fix applied
+export function applyFix(markdown, fix) {
+    return applyFixes(markdown, [fix]);
+}
+
+// Apply several fixes at once, from the bottom up so line numbers stay valid.
+// A fix touching lines that an earlier one already rewrote is skipped. The
+// document keeps its line endings.
+export function applyFixes(markdown, fixes) {
+    const newline = markdown.includes('\r\n') ? '\r\n' : '\n';
+    const lines = markdown.split(/\r?\n/);
+    let limit = Infinity;
+
+    [...fixes].sort((a, b) => b.start - a.start || b.end - a.end).forEach(fix => {
+        if (fix.end > limit) return;
+        lines.splice(fix.start, fix.end - fix.start, ...fix.lines);
+        limit = fix.start;
+    });
+
+    return lines.join(newline);
+}
+
+// Apply the first fix of every problem, repeating while one fix held back
+// another (e.g. two problems in the same header row)
+export function fixAll(markdown) {
+    let current = markdown;
+    for (;;) {
+        const fixes = diagnoseMarkdown(current).map(diagnostic => diagnostic.fixes[0]).filter(Boolean);
+        const next = fixes.length > 0 ? applyFixes(current, fixes) : current;
+        if (next === current) return current;
+        current = next;
+    }
+}
+
+function createDiagnostic(line, severity, code, message, table = null, row = null, fixes = []) {
+    return { line, severity, code, message, table, row, fixes };
+}
+
+// Fix that rewrites one line as a table row, keeping its indentation. In a
+// padded table (`widths` given) the cells are padded to the column widths.
+function rowFix(label, title, line, cells, { lines, widths, alignments }) {
+    const indent = lines[line].match(/^\s*/)[0];
+    return { label, title, start: line, end: line + 1, lines: [indent + Table.serializeRow(cells, widths, alignments)] };
+}
+
+// Column widths of a table whose lines are padded so the pipes line up, the
+// way the editor and format-tables.mjs write them, or null for a compact one.
+// The separator line gives the widths; rows with the wrong number of cells
+// are what the fixes rewrite, so they don't count. A table whose cells all
+// fill their columns reads the same either way and is taken as compact.
+function paddedWidths(table, startLine, lines) {
+    const widths = Table.splitTableRow(lines[startLine + 1]).map(spec => spec.length);
+    const rows = [{ cells: table.headers, line: startLine }, ...table.rows.map((cells, i) => ({ cells, line: startLine + 2 + i }))]
+        .filter(row => row.cells.length === widths.length);
+    const padded = rows.every(row => lines[row.line].trim() === Table.serializeRow(row.cells, widths, table.alignments));
+    const compact = rows.every(row => lines[row.line].trim() === Table.serializeRow(row.cells));
+    return padded && !compact ? widths : null;
+}
+
+// Problems in a table the parser recognized
+function diagnoseTable({ table, startLine }, index, lines) {
+    const diagnostics = [];
+    const width = table.headers.length;
+    const format = { lines, widths: paddedWidths(table, startLine, lines), alignments: table.alignments };
+    const seen = new Map();
+
+    table.headers.forEach((header, col) => {
+        const key = header.toLowerCase();
+        let message = null;
+        let name = header;
+
+        if (!header) {
+            message = `Column ${col + 1} has no header`;
+            name = `Header ${col + 1}`;
+        } else if (seen.has(key)) {
+            message = `Columns ${seen.get(key) + 1} and ${col + 1} are both called "${header}"`;
+        } else {
+            seen.set(key, col);
+            return;
+        }
+
+        const headers = [...table.headers];
+        headers[col] = uniqueHeader(table.headers, col, name);
+        diagnostics.push(createDiagnostic(startLine, 'warning', header ? 'duplicate-header' : 'empty-header', message, index, 0, [
+            rowFix('Rename', `Call column ${col + 1} "${headers[col]}"`, startLine, headers, format)
+        ]));
+    });
+
+    table.rows.forEach((cells, i) => {
+        const line = startLine + 2 + i;
+
+        if (cells.length < width) {
+            const padded = cells.concat(Array(width - cells.length).fill(''));
+            diagnostics.push(createDiagnostic(line, 'warning', 'missing-cells',
+                `Row has ${cells.length} cells, but the header has ${width}`, index, i + 1, [
+                    rowFix('Pad', 'Add empty cells at the end of the row', line, padded, format)
+                ]));
+        } else if (cells.length > width) {
+            // Usually a literal | that should have been written as \|
+            const merged = cells.slice(0, width - 1).concat(cells.slice(width - 1).join(' | ').trim());
+            diagnostics.push(createDiagnostic(line, 'error', 'extra-cells',
+                `Row has ${cells.length} cells, but the header has ${width}. Is there an unescaped | in a cell? Write it as \\|`, index, i + 1, [
+                    rowFix('Merge', `Join the extra cells into column ${width}, keeping their pipes as text`, line, merged, format),
+                    rowFix('Truncate', `Drop the cells after column ${width}`, line, cells.slice(0, width), format)
+                ]));
+        }
+    });
+
+    return diagnostics;
+}
+
+// A block of pipe lines starting at lines[start] that the parser did not
+// recognize as a table, with the line after it: { diagnostic, end } or null
+function diagnoseUnrecognized(lines, start, claimed) {
+    const header = lines[start];
+    const next = start + 1 < lines.length && !claimed.has(start + 1) ? lines[start + 1] : '';
+    const hasSeparator = SEPARATOR_LIKE.test(next) && !HEADING_UNDERLINE.test(next);
+
+    // Prose may contain pipes; a row starting with one or a separator below is a table
+    if (!header.includes('|') || !(hasSeparator || header.trim().startsWith('|'))) return null;
+
+    let end = start + (hasSeparator ? 2 : 1);
+    while (end < lines.length && !claimed.has(end) && lines[end].trim() && lines[end].includes('|')) end++;
+
+    const headers = Table.splitTableRow(header);
+
+    if (!hasSeparator) {
+        const separator = separatorLine(headers.map(() => 'none'));
+        const diagnostic = createDiagnostic(start, 'error', 'missing-separator',
+            'This looks like a table, but there is no separator line like | --- | --- | under its header row', null, null, [
+                { label: 'Add separator', title: 'Insert a separator line under this row', start: start + 1, end: start + 1, lines: [separator] }
+            ]);
+        return { diagnostic, end };
+    }
+
+    const specs = Table.splitTableRow(next);
+    let message;
+    if (!Table.isSeparatorRow(specs)) {
+        message = `"${next.trim()}" is not a valid separator line. Each cell needs dashes with optional colons, like | --- | :---: |`;
+    } else {
+        message = `The separator line has ${specs.length} cells, but the header has ${headers.length}`;
+        if (specs.length < headers.length) message += '. Is there an unescaped | in a header? Write it as \\|';
+    }
+
+    // Keep the alignments that can be made out
+    const alignments = headers.map((_, i) => /^:?[-=]*:?$/.test(specs[i] || '') ? Table.parseAlignment(specs[i] || '') : 'none');
+    const diagnostic = createDiagnostic(start + 1, 'error', 'invalid-separator', message, null, null, [
+        { label: 'Fix separator', title: `Rewrite the separator line for ${headers.length} columns`, start: start + 1, end: start + 2, lines: [separatorLine(alignments)] }
+    ]);
+    return { diagnostic, end };
+}
+
+function separatorLine(alignments) {
+    return '| ' + alignments.map(alignment => Table.alignmentToSeparator(alignment)).join(' | ') + ' |';
+}
+
+// `name`, or the first of "name 2", "name 3"... that no other column uses
+function uniqueHeader(headers, col, name) {
+    const taken = new Set(headers.filter((_, i) => i !== col).map(header => header.toLowerCase()));
+    let candidate = name;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+        candidate = `${name} ${n}`;
+    }
+    return candidate;
+}
+
+// Indexes of lines inside fenced code blocks (and the fences themselves),
+// where pipes are just code
+function fencedLines(lines) {
+    const fenced = new Set();
+    let fence = null;
+
+    lines.forEach((line, i) => {
+        const match = line.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (match) {
+            const marker = match[1];
+            if (!fence) {
+                fence = marker;
+            } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+                fence = null;
+            }
+            fenced.add(i);
+        } else if (fence) {
+            fenced.add(i);
+        }
+    });
+
+    return fenced;
+}
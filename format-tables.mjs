@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+// Markdown Table Formatter
+//
+// Command-line companion to the editor: normalizes every table in the given
+// markdown files using the same parser and serializer (table-model.mjs).
+//
+//   node format-tables.mjs [options] <file.md>...
+//
+// Exit codes: 0 when everything is (now) formatted, 1 when --check finds
+// files that need changes, 2 for usage or file errors.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import * as Table from './table-model.mjs';
+
+const usage = `Usage: node format-tables.mjs [options] <file.md>...
+
+Normalizes every Markdown table in the given files: short rows are padded
+to the header width and cells are padded so the pipes line up. Tables with
+rows longer than the header are left as they are and reported on stderr.
+
+Options:
+  --write               Write the result back to each file
+  --check               Exit with status 1 if any file would change
+  --compact             Don't pad cells (one space around each pipe)
+  --columns <names>     Put these columns first, in this order, e.g. Name,Version,Status
+  --sort <names>        Sort rows by these columns, e.g. Version or Status,Date:desc
+  -h, --help            Show this help
+
+Without --write or --check the formatted files are printed to stdout.
+--columns and --sort only change tables that have every named column.`;
+
+// Column names from a comma-separated option value
+function parseNames(value) {
+    return value ? value.split(',').map(name => name.trim()).filter(Boolean) : [];
+}
+
+// Sort keys like "Version" or "Date:desc"
+function parseSortKeys(value) {
+    return parseNames(value).map(spec => {
+        const match = spec.match(/^(.*?)(?::(asc|desc))?$/i);
+        return { name: match[1].trim(), direction: (match[2] || 'asc').toLowerCase() };
+    });
+}
+
+function formatTable(table, options) {
+    let result = Table.normalizeTable(table);
+
+    const columns = options.columns.map(name => Table.findColumn(result, name));
+    if (columns.length > 0 && !columns.includes(-1)) {
+        options.columns.forEach((name, position) => {
+            result = Table.moveColumn(result, Table.findColumn(result, name), position);
+        });
+    }
+
+    const keys = options.sort.map(key => ({ column: Table.findColumn(result, key.name), direction: key.direction }));
+    if (keys.length > 0 && keys.every(key => key.column !== -1)) {
+        result = Table.sortRows(result, keys);
+    }
+
+    return Table.serializeTable(result, { pretty: options.pretty }).replace(/\n$/, '');
+}
+
+// The document with every table reformatted, keeping its line endings and
+// the indentation of each table line (tables in list items stay in the
+// list): { text, problems }. Rows with more cells than the header usually
+// have an unescaped | in a cell, and only the author can tell which cells
+// belong together, so those tables are left as they are and listed in
+// `problems` (the editor offers Merge and Truncate fixes for them).
+function formatDocument(markdown, options) {
+    const newline = markdown.includes('\r\n') ? '\r\n' : '\n';
+    const lines = markdown.split(/\r?\n/);
+    const problems = [];
+
+    // Replace from the bottom up so earlier line numbers stay valid
+    Table.findTables(markdown).reverse().forEach(({ table, startLine, endLine }) => {
+        const width = table.headers.length;
+        const long = table.rows.map((cells, i) => ({ cells, line: startLine + 3 + i })).filter(row => row.cells.length > width);
+        if (long.length > 0) {
+            long.reverse().forEach(row => problems.unshift(
+                `line ${row.line}: row has ${row.cells.length} cells, but the header has ${width}. Is there an unescaped | in a cell? Table left as it is`));
+            return;
+        }
+
+        const indents = lines.slice(startLine, endLine).map(line => line.match(/^\s*/)[0]);
+        const formatted = formatTable(table, options).split('\n').map((text, k) => (indents[k] ?? indents[0]) + text);
+        lines.splice(startLine, endLine - startLine, ...formatted);
+    });
+
+    return { text: lines.join(newline), problems };
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                write: { type: 'boolean' },
+                check: { type: 'boolean' },
+                compact: { type: 'boolean' },
+                columns: { type: 'string' },
+                sort: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage}`);
+        return 2;
+    }
+
+    const { values, positionals: files } = args;
+    if (values.help) {
+        console.log(usage);
+        return 0;
+    }
+    if (files.length === 0) {
+        console.error(usage);
+        return 2;
+    }
+
+    const options = {
+        pretty: !values.compact,
+        columns: parseNames(values.columns),
+        sort: parseSortKeys(values.sort)
+    };
+
+    let status = 0;
+    for (const file of files) {
+        let markdown;
+        try {
+            markdown = await readFile(file, 'utf8');
+        } catch (error) {
+            console.error(`Could not read ${file}: ${error.message}`);
+            status = 2;
+            continue;
+        }
+
+        const { text: formatted, problems } = formatDocument(markdown, options);
+        problems.forEach(problem => console.error(`${file}: ${problem}`));
+
+        if (values.check) {
+            if (formatted !== markdown) {
+                console.error(`${file}: tables need formatting`);
+                status = Math.max(status, 1);
+            }
+        } else if (values.write) {
+            if (formatted === markdown) continue;
+            try {
+                await writeFile(file, formatted);
+                console.log(`Formatted ${file}`);
+            } catch (error) {
+                console.error(`Could not write ${file}: ${error.message}`);
+                status = 2;
+            }
+        } else {
+            process.stdout.write(formatted);
+        }
+    }
+
+    return status;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,466 @@
+// Formulas and Aggregates
+//
+// Spreadsheet-style calculations on the table model (table-model.mjs), with
+// no DOM access: numbers with units such as "$1,200" or "35 ms", column
+// aggregates for the editor's summary row, and cells starting with "=" that
+// are evaluated as expressions like =B2*C2 or =SUM(B2:B9).
+//
+// Cell references use the editor's A1 labels: columns are letters and row 1
+// is the header, so B2 is the second column of the first body row.
+
+import * as Table from './table-model.mjs';
+
+// Aggregates of the summary row, also available in formulas as SUM(), AVG(), ...
+export const AGGREGATES = ['sum', 'avg', 'min', 'max', 'count', 'distinct'];
+
+// Quantities
+
+// A number with its unit, e.g. "$1,200.50", "-35 ms", "12%" or "**3.5 kg**":
+// { value, prefix, suffix, space, decimals, grouping }, or null for other text
+export function parseQuantity(text) {
+    const match = text.trim()
+        .replace(/^[*_`~]+|[*_`~]+$/g, '')
+        .match(/^([-+]?)\s*([$€£¥]?)\s*([-+]?)((?:\d{1,3}(?:,\d{3})+|\d*)(?:\.(\d+))?)(\s*)(%|[A-Za-zµ°/]+)?$/);
+    if (!match || !/\d/.test(match[4]) || (match[1] && match[3])) return null;
+
+    const negative = (match[1] || match[3]) === '-';
+    return {
+        value: (negative ? -1 : 1) * Number(match[4].replace(/,/g, '')),
+        prefix: match[2],
+        suffix: match[7] || '',
+        space: match[7] ? match[6] && ' ' : '',
+        decimals: match[5] ? match[5].length : 0,
+        grouping: match[4].includes(',')
+    };
+}
+
+// Text for a quantity, with its unit and at least as many decimals as it was
+// written with (up to two more are shown when needed, e.g. for averages)
+export function formatQuantity(quantity) {
+    const { value, prefix = '', suffix = '', space = '', decimals = 0, grouping = false } = quantity;
+    const digits = numberFormat(Math.min(decimals, 20), grouping).format(Math.abs(value));
+    const sign = value < 0 && /[1-9]/.test(digits) ? '-' : '';
+    return `${sign}${prefix}${digits}${suffix ? space + suffix : ''}`;
+}
+
+// Creating a formatter is slow, so they are kept for reuse
+const numberFormats = new Map();
+
+function numberFormat(decimals, grouping) {
+    const key = `${decimals}:${grouping}`;
+    if (!numberFormats.has(key)) {
+        numberFormats.set(key, new Intl.NumberFormat('en-US', {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: Math.max(decimals, 2),
+            useGrouping: grouping
+        }));
+    }
+    return numberFormats.get(key);
+}
+
+function plainQuantity(value) {
+    return { value, prefix: '', suffix: '', space: '', decimals: 0, grouping: false };
+}
+
+function unitOf(quantity) {
+    return `${quantity.prefix}\u0000${quantity.suffix}`;
+}
+
+function hasUnit(quantity) {
+    return Boolean(quantity.prefix || quantity.suffix);
+}
+
+// Aggregates
+
+// Summary text of a column's cell texts, or '' when there is nothing to
+// summarize. count and distinct look at every non-empty cell; the others use
+// the numbers in the column, keeping its most common unit and skipping text
+// and numbers in any other unit.
+export function aggregate(texts, fn) {
+    const result = aggregateEntries(texts.map(text => ({ text, quantity: parseQuantity(text) })), fn);
+    return result ? formatQuantity(result) : '';
+}
+
+// Aggregate of { text, quantity } entries as a quantity, or null
+function aggregateEntries(entries, fn) {
+    const filled = entries.filter(entry => entry.text.trim() !== '');
+    if (fn === 'count') return plainQuantity(filled.length);
+    if (fn === 'distinct') return plainQuantity(new Set(filled.map(entry => entry.text.trim())).size);
+
+    const quantities = filled.map(entry => entry.quantity).filter(Boolean);
+    const counts = new Map();
+    quantities.filter(hasUnit).forEach(q => counts.set(unitOf(q), (counts.get(unitOf(q)) || 0) + 1));
+    const unit = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key)[0];
+
+    const used = quantities.filter(q => !hasUnit(q) || unitOf(q) === unit);
+    if (used.length === 0) return null;
+
+    const numbers = used.map(q => q.value);
+    let value;
+    switch (fn) {
+        case 'sum': value = numbers.reduce((a, b) => a + b, 0); break;
+        case 'avg': value = numbers.reduce((a, b) => a + b, 0) / numbers.length; break;
+        case 'min': value = numbers.reduce((a, b) => Math.min(a, b)); break;
+        case 'max': value = numbers.reduce((a, b) => Math.max(a, b)); break;
+        default: return null;
+    }
+
+    const sample = used.find(hasUnit) || used[0];
+    return {
+        ...sample,
+        value,
+        decimals: Math.max(...used.map(q => q.decimals)),
+        grouping: used.some(q => q.grouping)
+    };
+}
+
+// The summary row for a table: each column's aggregate ('' for none), either
+// computed or written as a formula such as =SUM(B2:B9). Pass the table's
+// evaluateFormulas() results to avoid evaluating them again.
+export function summaryRow(table, aggregates, { formulas = false, results = null } = {}) {
+    const computed = computeTable(table, results || evaluateFormulas(table));
+    const last = table.rows.length + 1;
+
+    return table.headers.map((_, col) => {
+        const fn = aggregates[col];
+        if (!fn || table.rows.length === 0) return '';
+        if (formulas) {
+            const label = columnLabel(col);
+            return `=${fn.toUpperCase()}(${label}2:${label}${last})`;
+        }
+        return aggregate(computed.rows.map(cells => cells[col] || ''), fn);
+    });
+}
+
+// Formulas
+
+class FormulaError extends Error {
+    constructor(code) {
+        super(code);
+        this.code = code;
+    }
+}
+
+export function isFormula(text) {
+    return /^\s*=\s*\S/.test(text);
+}
+
+// Spreadsheet-style column name: 0 → A, 25 → Z, 26 → AA
+export function columnLabel(index) {
+    let label = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+    }
+    return label;
+}
+
+function columnIndex(label) {
+    return label.toUpperCase().split('').reduce((index, ch) => index * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Results of the formula cells in the body, keyed "row:col" (row 0 is the
+// header): { text, quantity, error }, where error is a code such as '#REF!',
+// '#VALUE!', '#DIV/0!', '#CYCLE!', '#NAME?' or '#ERROR!' (bad syntax)
+export function evaluateFormulas(table) {
+    const results = new Map();
+    const evaluateCell = createEvaluator(table, results);
+
+    table.rows.forEach((cells, index) => {
+        cells.forEach((text, col) => {
+            if (isFormula(text)) evaluateCell(index + 1, col);
+        });
+    });
+
+    return results;
+}
+
+// The table with every formula replaced by its result
+export function computeTable(table, results = evaluateFormulas(table)) {
+    if (results.size === 0) return table;
+
+    return {
+        ...table,
+        rows: table.rows.map((cells, index) => cells.map((text, col) => {
+            const result = results.get(`${index + 1}:${col}`);
+            return result ? result.text : text;
+        }))
+    };
+}
+
+// Formula cells are evaluated with a stack of their own rather than by
+// recursion, so long chains of references can't overflow the call stack. A
+// formula referring to formulas not evaluated yet stays on the stack below
+// them and is evaluated again once they are. The stack holds the path of
+// cells being evaluated plus cells queued to be, and only a cell on the path
+// referring back to itself is a cycle.
+function createEvaluator(table, results) {
+    // Stands in for a referenced formula not evaluated yet; the result it
+    // leads to is thrown away
+    const pending = { text: '1', quantity: plainQuantity(1) };
+
+    return (row, col) => {
+        const first = `${row}:${col}`;
+        if (results.has(first)) return results.get(first);
+
+        const stack = [{ row, col, key: first }];
+        // Cells evaluated at least once and waiting for the cells above them:
+        // the ancestors of the cell on top. Cells further down the stack that
+        // haven't been reached yet are only queued.
+        const onPath = new Set();
+
+        while (stack.length > 0) {
+            const cell = stack[stack.length - 1];
+            // Queued more than once and evaluated since
+            if (results.has(cell.key)) {
+                stack.pop();
+                continue;
+            }
+            onPath.add(cell.key);
+            const missing = [];
+
+            // A referenced cell as { text, quantity }, with formulas evaluated
+            const entry = (refRow, refCol) => {
+                const text = Table.getCell(table, refRow, refCol);
+                if (refRow === 0 || !isFormula(text)) return { text, quantity: parseQuantity(text) };
+
+                const key = `${refRow}:${refCol}`;
+                if (results.has(key)) {
+                    const result = results.get(key);
+                    if (result.error) throw new FormulaError(result.error);
+                    return result;
+                }
+                // An ancestor of this cell, unless cells referred to before it
+                // have to be evaluated first
+                if (onPath.has(key)) {
+                    if (missing.length === 0) throw new FormulaError('#CYCLE!');
+                    return pending;
+                }
+                missing.push({ row: refRow, col: refCol, key });
+                return pending;
+            };
+
+            let result;
+            try {
+                const quantity = evaluate(Table.getCell(table, cell.row, cell.col), table, entry);
+                result = { text: formatQuantity(quantity), quantity, error: null };
+            } catch (error) {
+                if (!(error instanceof FormulaError)) throw error;
+                result = { text: error.code, quantity: null, error: error.code };
+            }
+
+            if (missing.length > 0) {
+                // Reversed so they are evaluated in the order they are referred to
+                missing.reverse().forEach(next => stack.push(next));
+                continue;
+            }
+
+            stack.pop();
+            onPath.delete(cell.key);
+            results.set(cell.key, result);
+        }
+
+        return results.get(first);
+    };
+}
+
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z]+\d+)\b|([A-Za-z]+)|([-+*/^(),:]))/y;
+
+    while (pattern.lastIndex < source.length) {
+        if (/^\s*$/.test(source.slice(pattern.lastIndex))) break;
+
+        const match = pattern.exec(source);
+        if (!match) throw new FormulaError('#ERROR!');
+
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: match[1] });
+        else if (match[2] !== undefined) tokens.push({ type: 'ref', value: match[2] });
+        else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3].toUpperCase() });
+        else tokens.push({ type: 'op', value: match[4] });
+    }
+
+    return tokens;
+}
+
+// Evaluate a formula's expression to a quantity. Supports + - * / ^,
+// parentheses, cell references, ranges such as B2:B9 inside functions, and
+// SUM, AVG (or AVERAGE), MIN, MAX, COUNT, DISTINCT, ROUND and ABS.
+function evaluate(formula, table, entry) {
+    const tokens = tokenize(formula.trim().slice(1));
+    let pos = 0;
+
+    const peek = (value) => tokens[pos] && tokens[pos].type === 'op' && tokens[pos].value === value;
+    const expect = (value) => {
+        if (!peek(value)) throw new FormulaError('#ERROR!');
+        pos++;
+    };
+
+    const reference = (token) => {
+        const match = token.value.match(/^([A-Za-z]+)(\d+)$/);
+        const row = Number(match[2]) - 1;
+        const col = columnIndex(match[1]);
+        if (row < 0 || row > table.rows.length || col >= table.headers.length) throw new FormulaError('#REF!');
+        return { row, col };
+    };
+
+    const cellValue = (token) => {
+        const { row, col } = reference(token);
+        const { text, quantity } = entry(row, col);
+        if (quantity) return quantity;
+        if (text.trim() === '') return plainQuantity(0);
+        throw new FormulaError('#VALUE!');
+    };
+
+    // Function arguments: ranges expand to their cells' entries
+    const argumentEntries = () => {
+        const entries = [];
+        if (peek(')')) return entries;
+
+        for (;;) {
+            const token = tokens[pos];
+            if (token && token.type === 'ref' && tokens[pos + 1] && tokens[pos + 1].value === ':') {
+                pos += 2;
+                const endToken = tokens[pos++];
+                if (!endToken || endToken.type !== 'ref') throw new FormulaError('#ERROR!');
+
+                const start = reference(token);
+                const end = reference(endToken);
+                for (let row = Math.min(start.row, end.row); row <= Math.max(start.row, end.row); row++) {
+                    for (let col = Math.min(start.col, end.col); col <= Math.max(start.col, end.col); col++) {
+                        entries.push(entry(row, col));
+                    }
+                }
+            } else {
+                const quantity = expression();
+                entries.push({ text: formatQuantity(quantity), quantity });
+            }
+
+            if (!peek(',')) break;
+            pos++;
+        }
+
+        return entries;
+    };
+
+    const call = (name) => {
+        expect('(');
+        const entries = argumentEntries();
+        expect(')');
+
+        const fn = name === 'AVERAGE' ? 'avg' : name.toLowerCase();
+        if (AGGREGATES.includes(fn)) {
+            const result = aggregateEntries(entries, fn);
+            if (result) return result;
+            if (fn === 'sum') return plainQuantity(0);
+            throw new FormulaError(fn === 'avg' ? '#DIV/0!' : '#VALUE!');
+        }
+
+        const numbers = entries.map(e => e.quantity || (e.text.trim() === '' ? plainQuantity(0) : null));
+        if (numbers.includes(null)) throw new FormulaError('#VALUE!');
+
+        if (name === 'ABS' && numbers.length === 1) {
+            return { ...numbers[0], value: Math.abs(numbers[0].value) };
+        }
+        if (name === 'ROUND' && (numbers.length === 1 || numbers.length === 2)) {
+            const places = numbers[1] ? Math.trunc(numbers[1].value) : 0;
+            const factor = 10 ** places;
+            return { ...numbers[0], value: Math.round(numbers[0].value * factor) / factor, decimals: Math.max(places, 0) };
+        }
+        throw new FormulaError('#NAME?');
+    };
+
+    const primary = () => {
+        const token = tokens[pos++];
+        if (!token) throw new FormulaError('#ERROR!');
+
+        if (token.type === 'number') {
+            const decimals = token.value.includes('.') ? token.value.split('.')[1].length : 0;
+            return { ...plainQuantity(Number(token.value)), decimals };
+        }
+        if (token.type === 'ref') return cellValue(token);
+        if (token.type === 'name') return call(token.value);
+        if (token.value === '(') {
+            const value = expression();
+            expect(')');
+            return value;
+        }
+        throw new FormulaError('#ERROR!');
+    };
+
+    const unary = () => {
+        if (peek('-')) {
+            pos++;
+            const value = unary();
+            return { ...value, value: -value.value };
+        }
+        if (peek('+')) {
+            pos++;
+            return unary();
+        }
+        return primary();
+    };
+
+    const power = () => {
+        const base = unary();
+        if (!peek('^')) return base;
+        pos++;
+        return combine('^', base, power());
+    };
+
+    const term = () => {
+        let value = power();
+        while (peek('*') || peek('/')) {
+            const op = tokens[pos++].value;
+            value = combine(op, value, power());
+        }
+        return value;
+    };
+
+    const expression = () => {
+        let value = term();
+        while (peek('+') || peek('-')) {
+            const op = tokens[pos++].value;
+            value = combine(op, value, term());
+        }
+        return value;
+    };
+
+    const result = expression();
+    if (pos < tokens.length) throw new FormulaError('#ERROR!');
+    return result;
+}
+
+// Arithmetic on quantities. Units survive where they make sense: adding
+// amounts in the same unit, or scaling an amount by a plain number.
+function combine(op, a, b) {
+    let value;
+    switch (op) {
+        case '+': value = a.value + b.value; break;
+        case '-': value = a.value - b.value; break;
+        case '*': value = a.value * b.value; break;
+        case '/':
+            if (b.value === 0) throw new FormulaError('#DIV/0!');
+            value = a.value / b.value;
+            break;
+        case '^': value = a.value ** b.value; break;
+    }
+    if (!Number.isFinite(value)) throw new FormulaError('#VALUE!');
+
+    let unit = null;
+    if (op === '+' || op === '-') {
+        if (!hasUnit(b) || (hasUnit(a) && unitOf(a) === unitOf(b))) unit = a;
+        else if (!hasUnit(a)) unit = b;
+    } else if (op === '*') {
+        if (!hasUnit(b)) unit = a;
+        else if (!hasUnit(a)) unit = b;
+    } else if (op === '/') {
+        if (!hasUnit(b)) unit = a;
+    }
+
+    return {
+        ...(unit || plainQuantity(0)),
+        value,
+        decimals: Math.max(a.decimals, b.decimals),
+        grouping: a.grouping || b.grouping
+    };
+}
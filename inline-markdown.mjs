@@ -0,0 +1,250 @@
+// Inline Markdown
+//
+// Parses the inline markdown found in table cells (emphasis, strong,
+// strikethrough, code spans, links, images and autolinks) into a small tree
+// of plain objects. There is no HTML output: callers build elements from the
+// tree, so cell text can never inject markup. Raw HTML stays literal text and
+// link targets are passed through safeUrl().
+//
+// Nodes: { type: 'text', text }, { type: 'code', text },
+// { type: 'strong' | 'em' | 'del', children }, { type: 'link', href, title, children }
+// and { type: 'image', src, alt, title }. `href` and `src` are null when unsafe.
+
+// ASCII punctuation, which a backslash turns into a literal character
+const ESCAPABLE = /[!-/:-@[-`{-~]/;
+
+export function parseInline(text) {
+    const nodes = [];
+    let buffer = '';
+    const flush = () => {
+        if (buffer) nodes.push({ type: 'text', text: buffer });
+        buffer = '';
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (ch === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+            buffer += text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        const match = (ch === '`' && matchCodeSpan(text, i))
+            || (ch === '<' && matchAutolink(text, i))
+            || ((ch === '[' || (ch === '!' && text[i + 1] === '[')) && matchLink(text, i))
+            || ((ch === '*' || ch === '_' || ch === '~') && matchEmphasis(text, i));
+
+        if (match) {
+            flush();
+            nodes.push(match.node);
+            i = match.end;
+            continue;
+        }
+
+        // A delimiter run that opens nothing is literal text as a whole
+        const run = ch === '`' || ch === '*' || ch === '_' || ch === '~' ? runLength(text, i) : 1;
+        buffer += text.slice(i, i + run);
+        i += run;
+    }
+    flush();
+
+    return nodes;
+}
+
+// Plain text of parsed nodes, e.g. for an image's alt text
+export function toPlainText(nodes) {
+    return nodes.map(node => {
+        if (node.type === 'text' || node.type === 'code') return node.text;
+        if (node.type === 'image') return node.alt;
+        return toPlainText(node.children);
+    }).join('');
+}
+
+// The URL if it is safe to link to (http, https, mailto or relative), else null
+export function safeUrl(url) {
+    // Browsers ignore whitespace and control characters inside a scheme
+    const compact = url.replace(/[\u0000- \u007F]/g, '');
+    const scheme = compact.match(/^([A-Za-z][A-Za-z0-9+.-]*):/);
+    if (scheme && !['http', 'https', 'mailto'].includes(scheme[1].toLowerCase())) return null;
+    return url.trim();
+}
+
+function runLength(text, start) {
+    let length = 0;
+    while (text[start + length] === text[start]) length++;
+    return length;
+}
+
+// `code`, ``code with ` inside``; the closing run must be as long as the opening one
+function matchCodeSpan(text, start) {
+    const length = runLength(text, start);
+    let i = start + length;
+
+    while (i < text.length) {
+        if (text[i] !== '`') {
+            i++;
+            continue;
+        }
+
+        const closeLength = runLength(text, i);
+        if (closeLength === length) {
+            let code = text.slice(start + length, i);
+            // One space of padding on both sides is not part of the code
+            if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+            return { node: { type: 'code', text: code }, end: i + closeLength };
+        }
+        i += closeLength;
+    }
+
+    return null;
+}
+
+// <https://example.com> and <name@example.com>
+function matchAutolink(text, start) {
+    const rest = text.slice(start);
+    const url = rest.match(/^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/);
+    if (url) {
+        return {
+            node: { type: 'link', href: safeUrl(url[1]), title: '', children: [{ type: 'text', text: url[1] }] },
+            end: start + url[0].length
+        };
+    }
+
+    const email = rest.match(/^<([^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/);
+    if (email) {
+        return {
+            node: { type: 'link', href: `mailto:${email[1]}`, title: '', children: [{ type: 'text', text: email[1] }] },
+            end: start + email[0].length
+        };
+    }
+
+    return null;
+}
+
+// [text](url "title") and ![alt](src "title")
+function matchLink(text, start) {
+    const isImage = text[start] === '!';
+    const open = start + (isImage ? 1 : 0);
+
+    // Closing bracket, allowing nested brackets, escapes and code spans
+    let depth = 0;
+    let close = -1;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '`') {
+            const code = matchCodeSpan(text, i);
+            if (code) i = code.end - 1;
+        } else if (text[i] === '[') {
+            depth++;
+        } else if (text[i] === ']' && --depth === 0) {
+            close = i;
+            break;
+        }
+    }
+    if (close === -1 || text[close + 1] !== '(') return null;
+
+    const target = matchLinkTarget(text, close + 2);
+    if (!target) return null;
+
+    const children = parseInline(text.slice(open + 1, close));
+    const node = isImage
+        ? { type: 'image', src: safeUrl(target.url), alt: toPlainText(children), title: target.title }
+        : { type: 'link', href: safeUrl(target.url), title: target.title, children };
+
+    return { node, end: target.end };
+}
+
+// The `url "title")` part of a link, starting just after the opening parenthesis
+function matchLinkTarget(text, start) {
+    let i = start;
+    const skipSpaces = () => {
+        while (text[i] === ' ' || text[i] === '\t') i++;
+    };
+
+    skipSpaces();
+    let url = '';
+    if (text[i] === '<') {
+        const end = text.indexOf('>', i);
+        if (end === -1) return null;
+        url = text.slice(i + 1, end);
+        i = end + 1;
+    } else {
+        // Parentheses inside the URL must be balanced
+        let depth = 0;
+        while (i < text.length && !/\s/.test(text[i])) {
+            if (text[i] === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+                url += text[i + 1];
+                i += 2;
+                continue;
+            }
+            if (text[i] === '(') depth++;
+            if (text[i] === ')' && depth-- === 0) break;
+            url += text[i];
+            i++;
+        }
+    }
+
+    skipSpaces();
+    let title = '';
+    const quote = { '"': '"', "'": "'", '(': ')' }[text[i]];
+    if (quote) {
+        const end = text.indexOf(quote, i + 1);
+        if (end === -1) return null;
+        title = text.slice(i + 1, end);
+        i = end + 1;
+        skipSpaces();
+    }
+
+    if (text[i] !== ')') return null;
+    return { url, title, end: i + 1 };
+}
+
+// **strong**, __strong__, *em*, _em_ and ~~del~~
+function matchEmphasis(text, start) {
+    const ch = text[start];
+    const run = runLength(text, start);
+    const size = ch === '~' ? 2 : Math.min(run, 2);
+    if (ch === '~' && run !== 2) return null;
+
+    const type = ch === '~' ? 'del' : size === 2 ? 'strong' : 'em';
+    const isWordChar = (c) => /[\p{L}\p{N}]/u.test(c || '');
+
+    // Opening: followed by non-space; underscores also may not start mid-word
+    if (!text[start + size] || /\s/.test(text[start + size])) return null;
+    if (ch === '_' && isWordChar(text[start - 1])) return null;
+
+    let i = start + size;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (text[i] === '`') {
+            const code = matchCodeSpan(text, i);
+            i = code ? code.end : i + runLength(text, i);
+            continue;
+        }
+        if (text[i] !== ch) {
+            i++;
+            continue;
+        }
+
+        // Closing: a run of the same size, preceded by non-space
+        const closeRun = runLength(text, i);
+        const closes = closeRun === size
+            && !/\s/.test(text[i - 1])
+            && !(ch === '_' && isWordChar(text[i + size]));
+        if (closes && i > start + size) {
+            return {
+                node: { type, children: parseInline(text.slice(start + size, i)) },
+                end: i + size
+            };
+        }
+        i += closeRun;
+    }
+
+    return null;
+}
@@ -0,0 +1,258 @@
+// <markdown-table-editor> custom element
+//
+// The editor (script.js) packaged for other pages. Its markup and styles live
+// in a shadow root, so several editors can share a page without their ids or
+// styles getting mixed up:
+//
+//     <script type="module" src="markdown-table-editor.js"></script>
+//     <markdown-table-editor markdown="| Name | Age |&#10;| --- | --- |"></markdown-table-editor>
+//
+// Attributes: `markdown` is the document (setting it again replaces it),
+// `readonly` stops edits, and `library` keeps documents in localStorage with a
+// Library sidebar (give it a value to keep several libraries apart).
+// Methods: getMarkdown() and setMarkdown(markdown).
+// Events: change { markdown }, selectionchange { row, column, range } and
+// reorder { axis, from, to } (or { axis, sortKeys } after sorting).
+
+import { MarkdownTableEditor } from './script.js';
+
+const stylesheet = new URL('./styles.css', import.meta.url);
+
+const template = document.createElement('template');
+template.innerHTML = `
+    <link rel="stylesheet" href="${stylesheet}">
+    <div class="workspace">
+        <aside class="library-section">
+            <h3>Library</h3>
+            <div class="library-controls">
+                <button id="libraryNew" title="Start a new, empty document">New</button>
+                <button id="libraryDuplicate" title="Copy the current document">Duplicate</button>
+                <button id="libraryRename">Rename</button>
+                <button id="libraryDelete">Delete</button>
+            </div>
+            <ul id="libraryList" class="library-list"></ul>
+            <div class="library-controls">
+                <button id="libraryExport" title="Download every saved table as one JSON file">Export Library</button>
+                <button id="libraryImport" title="Add tables from a library backup file">Import Library</button>
+                <input type="file" id="libraryImportInput" accept=".json,application/json" hidden>
+            </div>
+            <div id="saveStatus" class="save-status"></div>
+        </aside>
+
+        <div class="editor-container">
+            <div class="input-section">
+                <h3>Markdown Input</h3>
+                <textarea id="markdownInput" placeholder="Paste your markdown table or document here or create a new one..."></textarea>
+                <div class="controls">
+                    <button id="createTable" class="edit-only">Create New Table</button>
+                    <button id="importFile" class="edit-only">Import CSV</button>
+                    <input type="file" id="importFileInput" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" hidden>
+                    <select id="exportFormat" title="Export format">
+                        <option value="markdown">Markdown</option>
+                        <option value="csv">CSV</option>
+                        <option value="html">HTML</option>
+                        <option value="json">JSON</option>
+                        <option value="latex">LaTeX</option>
+                        <option value="pandoc-grid">Pandoc grid table</option>
+                        <option value="org">Org table</option>
+                        <option value="rst-grid">reST grid table</option>
+                        <option value="rst-simple">reST simple table</option>
+                    </select>
+                    <select id="exportValues" title="Export formulas as typed, or their results">
+                        <option value="formulas">Formulas</option>
+                        <option value="computed">Computed values</option>
+                    </select>
+                    <select id="exportScope" title="Export every row and column, or only those shown" hidden>
+                        <option value="full">Full table</option>
+                        <option value="filtered">Filtered view</option>
+                    </select>
+                    <button id="exportTable">Export</button>
+                    <button id="copyDocument">Copy Document</button>
+                    <label class="option edit-only" title="Pad cells so the pipes line up">
+                        <input type="checkbox" id="prettyPrint"> Align pipes
+                    </label>
+                    <label class="option edit-only" title="How the table being edited is written in the document; pick another format to convert it">
+                        Format
+                        <select id="tableDialect">
+                            <option value="gfm">GFM</option>
+                            <option value="pandoc-grid">Pandoc grid</option>
+                            <option value="org">Org</option>
+                            <option value="rst-grid">reST grid</option>
+                            <option value="rst-simple">reST simple</option>
+                        </select>
+                    </label>
+                </div>
+                <div id="diagnosticsPanel" class="diagnostics-panel" hidden>
+                    <div class="diagnostics-header">
+                        <span id="diagnosticsSummary"></span>
+                        <button id="fixAll" class="edit-only" title="Apply the first fix of every problem">Fix All</button>
+                    </div>
+                    <ul id="diagnosticsList" class="diagnostics-list"></ul>
+                </div>
+            </div>
+
+            <div class="table-section">
+                <h3>Table Editor</h3>
+                <div class="table-picker" hidden>
+                    <label for="tableSelect">Editing</label>
+                    <select id="tableSelect"></select>
+                </div>
+                <div class="mode-controls">
+                    <button id="toggleMode" class="edit-only">Selection Mode</button>
+                    <div id="modeIndicator" class="mode-indicator selection">Selection Mode</div>
+                    <div id="selectionStatus" class="selection-status"></div>
+                </div>
+                <div class="table-controls">
+                    <button id="undo" class="edit-only" title="Undo (Ctrl+Z)">Undo</button>
+                    <button id="redo" class="edit-only" title="Redo (Ctrl+Shift+Z)">Redo</button>
+                    <button id="addRow" class="edit-only">Add Row</button>
+                    <button id="addColumn" class="edit-only">Add Column</button>
+                    <button id="deleteRow" class="edit-only">Delete Row</button>
+                    <button id="deleteColumn" class="edit-only">Delete Column</button>
+                    <button id="toggleFind">Find &amp; Replace</button>
+                    <button id="toggleFilters" title="Show or hide a row of filters under the header">Filter</button>
+                    <button id="showColumns" hidden></button>
+                    <button id="toggleDiff" title="Compare the table with how it was when first loaded">Show Changes</button>
+                </div>
+                <div class="table-controls">
+                    <button id="transpose" class="edit-only" title="Swap rows and columns">Transpose</button>
+                    <button id="splitColumn" class="edit-only" title="Split the selected column on a delimiter or regex">Split Column</button>
+                    <button id="mergeColumns" class="edit-only" title="Join the selected columns with a separator">Merge Columns</button>
+                    <button id="fillDown" class="edit-only" title="Fill empty cells in the selected columns with the value above">Fill Down</button>
+                    <label class="option" title="Show a row with a sum, average or other summary of each column">
+                        <input type="checkbox" id="showSummary"> Summary row
+                    </label>
+                </div>
+                <div id="findPanel" class="find-panel" hidden>
+                    <div class="find-row">
+                        <input type="text" id="findInput" placeholder="Find" aria-label="Find">
+                        <button id="findPrev" title="Previous match (Shift+Enter)">&uarr;</button>
+                        <button id="findNext" title="Next match (Enter)">&darr;</button>
+                        <span id="findStatus" class="find-status"></span>
+                    </div>
+                    <div class="find-row edit-only">
+                        <input type="text" id="replaceInput" placeholder="Replace with" aria-label="Replace with">
+                        <button id="replaceOne">Replace</button>
+                        <button id="replaceAll">Replace All</button>
+                    </div>
+                    <div class="find-options">
+                        <label><input type="checkbox" id="findCase"> Match case</label>
+                        <label><input type="checkbox" id="findWord"> Whole word</label>
+                        <label><input type="checkbox" id="findRegex"> Regex</label>
+                        <label><input type="checkbox" id="findColumn"> Selected column only</label>
+                    </div>
+                </div>
+                <div id="diffPanel" class="diff-panel" hidden>
+                    <div class="diff-header">
+                        <span>Changes since the table was loaded</span>
+                        <button id="copyDiffSummary" title="Copy the summary, e.g. for a commit message">Copy Summary</button>
+                        <button id="resetDiff" title="Compare with the table as it is now from here on">Reset</button>
+                    </div>
+                    <pre id="diffSummary" class="diff-summary"></pre>
+                    <div class="table-container">
+                        <table id="diffTable" class="diff-table"></table>
+                    </div>
+                </div>
+                <div id="tableContainer" class="table-container">
+                    <table id="editableTable" tabindex="-1">
+                    </table>
+                </div>
+                <div id="cellMenu" class="context-menu" role="menu" hidden>
+                    <button data-command="insert-row-above" role="menuitem">Insert row above <kbd>Ctrl+Alt+&uarr;</kbd></button>
+                    <button data-command="insert-row-below" role="menuitem">Insert row below <kbd>Ctrl+Alt+&darr;</kbd></button>
+                    <button data-command="insert-column-left" role="menuitem">Insert column left <kbd>Ctrl+Alt+&larr;</kbd></button>
+                    <button data-command="insert-column-right" role="menuitem">Insert column right <kbd>Ctrl+Alt+&rarr;</kbd></button>
+                    <hr>
+                    <button data-command="duplicate-row" role="menuitem">Duplicate row <kbd>Alt+Shift+&darr;</kbd></button>
+                    <button data-command="duplicate-column" role="menuitem">Duplicate column <kbd>Alt+Shift+&rarr;</kbd></button>
+                    <hr>
+                    <button data-command="move-row-up" role="menuitem">Move row up <kbd>Alt+&uarr;</kbd></button>
+                    <button data-command="move-row-down" role="menuitem">Move row down <kbd>Alt+&darr;</kbd></button>
+                    <button data-command="move-column-left" role="menuitem">Move column left <kbd>Alt+&larr;</kbd></button>
+                    <button data-command="move-column-right" role="menuitem">Move column right <kbd>Alt+&rarr;</kbd></button>
+                    <hr>
+                    <button data-command="delete-row" role="menuitem">Delete row</button>
+                    <button data-command="delete-column" role="menuitem">Delete column</button>
+                    <hr>
+                    <button data-command="hide-column" role="menuitem">Hide column</button>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+class MarkdownTableEditorElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['markdown', 'readonly'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).appendChild(template.content.cloneNode(true));
+        this.editor = null;
+        // The document as edited when the element was last removed
+        this.detachedMarkdown = null;
+    }
+
+    // The editor starts once the element is in the page, with its attributes set
+    connectedCallback() {
+        if (this.editor) return;
+
+        this.editor = new MarkdownTableEditor(this.shadowRoot, {
+            host: this,
+            library: this.getAttribute('library'),
+            markdown: this.detachedMarkdown ?? (this.getAttribute('markdown') || ''),
+            readOnly: this.hasAttribute('readonly')
+        });
+        this.detachedMarkdown = null;
+    }
+
+    // Removing the element stops its editor, so the page's listeners don't
+    // keep it alive. Put back (or moved), it starts again on a fresh copy of
+    // the markup with the document as it was.
+    disconnectedCallback() {
+        if (!this.editor) return;
+
+        this.detachedMarkdown = this.editor.markdownInput.value;
+        this.editor.destroy();
+        this.editor = null;
+        this.shadowRoot.replaceChildren(template.content.cloneNode(true));
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.editor) {
+            if (name === 'markdown') this.detachedMarkdown = null;
+            return;
+        }
+
+        if (name === 'markdown' && (value || '') !== this.getMarkdown()) {
+            this.editor.setMarkdown(value || '');
+        } else if (name === 'readonly') {
+            this.editor.setReadOnly(value !== null);
+        }
+    }
+
+    getMarkdown() {
+        if (this.editor) return this.editor.markdownInput.value;
+        return this.detachedMarkdown ?? (this.getAttribute('markdown') || '');
+    }
+
+    // Replace the document. Unlike edits, this doesn't fire a change event.
+    setMarkdown(markdown) {
+        if (this.editor) {
+            this.editor.setMarkdown(markdown);
+        } else {
+            this.setAttribute('markdown', markdown);
+        }
+    }
+
+    get readOnly() {
+        return this.hasAttribute('readonly');
+    }
+
+    set readOnly(value) {
+        this.toggleAttribute('readonly', Boolean(value));
+    }
+}
+
+customElements.define('markdown-table-editor', MarkdownTableEditorElement);
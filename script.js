@@ -1,45 +1,311 @@
 // Markdown Table Editor
-class MarkdownTableEditor {
-    constructor() {
-        this.markdownInput = document.getElementById('markdownInput');
-        this.editableTable = document.getElementById('editableTable');
-        this.tableContainer = document.getElementById('tableContainer');
+import * as Table from './table-model.mjs';
+import * as Dialects from './table-dialects.mjs';
+import * as Inline from './inline-markdown.mjs';
+import * as Formulas from './formulas.mjs';
+import * as Diagnostics from './diagnostics.mjs';
+import * as TableDiff from './table-diff.mjs';
+
+// Find match ranges of every editor on the page, { matches, current } by
+// editor. CSS.highlights is one registry for the whole page, so the
+// find-match and find-current highlights are drawn from all of them.
+const findRanges = new Map();
+
+function updateFindHighlights() {
+    if (!window.CSS || !CSS.highlights || typeof Highlight === 'undefined') return;
+
+    const entries = Array.from(findRanges.values());
+    CSS.highlights.set('find-match', new Highlight(...entries.flatMap(entry => entry.matches)));
+    CSS.highlights.set('find-current', new Highlight(...entries.flatMap(entry => entry.current)));
+}
+
+export class MarkdownTableEditor {
+    // `root` holds the editor's elements: the page, or the shadow root of a
+    // <markdown-table-editor> element (see markdown-table-editor.js). `host`
+    // receives the change, selectionchange and reorder events. `library` names
+    // the saved library to keep documents in (null for none), and `markdown`
+    // is the document to start with when there is nothing saved.
+    constructor(root = document, { host = null, library = null, markdown = '', readOnly = false } = {}) {
+        this.root = root;
+        this.host = host;
+        this.libraryName = library;
+        this.readOnly = readOnly;
+
+        // Removes the document and window listeners again in destroy()
+        this.listeners = new AbortController();
+        this.workspace = root.querySelector('.workspace');
+        this.markdownInput = this.root.getElementById('markdownInput');
+        this.editableTable = this.root.getElementById('editableTable');
+        this.tableContainer = this.root.getElementById('tableContainer');
+        this.tableSelect = this.root.getElementById('tableSelect');
+        this.dialectSelect = this.root.getElementById('tableDialect');
+        this.diagnosticsPanel = this.root.getElementById('diagnosticsPanel');
+        this.diagnosticsList = this.root.getElementById('diagnosticsList');
+        this.markdownInput.value = markdown;
 
         // Selection state
         this.selectedRow = null;
         this.selectedColumn = null;
         this.isDragMode = false;
 
+        // Rectangular cell range: { anchor, focus } positions as { row, col },
+        // where row 0 is the header row
+        this.selectedRange = null;
+        this.selectionAnchor = null;
+        this.rangeDragStart = null;
+        this.suppressNextClick = false;
+
+        // The selection last reported to the host page
+        this.lastSelection = null;
+
+        // Pad cells so the pipes line up (compact output when off)
+        this.prettyPrint = false;
+
+        // The table being edited ({ headers, rows, alignments }, see
+        // table-model.mjs). The DOM only renders it.
+        this.table = Table.createTable();
+
+        // Active sort keys, primary first: { column, direction }
+        this.sortKeys = [];
+
+        // Tables found in the markdown document and the one being edited.
+        // Each is written back in its dialect (see table-dialects.mjs); grid
+        // tables without alignment read as the grid dialect last picked.
+        this.tables = [];
+        this.activeTableIndex = 0;
+        this.gridDialect = null;
+
+        // Undo/redo history of document snapshots
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 100;
+        this.lastSnapshot = null;
+        this.historyGroup = null;
+
+        // Textarea edits are parsed once typing pauses
+        this.parseTimer = null;
+        this.parseDelay = 200;
+
+        // Tables longer than this only render the body rows in view
+        this.virtualizeAfter = 200;
+        this.overscanRows = 20;
+        this.rowHeight = 37;
+        this.renderedRange = null;
+        this.scrollFrame = null;
+
+        // The table as last written to the textarea, with its column widths,
+        // so editing one cell can rewrite just that row's line
+        this.lastSerialized = null;
+
+        // Markdown source of each rendered cell. Cells show it formatted
+        // unless they are being edited, so their text can't be read back.
+        this.cellSources = new WeakMap();
+
+        // Edit cells as plain text where supported, so pasted or dropped
+        // content can't bring markup along
+        this.editableValue = this.supportsPlaintextEditing() ? 'plaintext-only' : 'true';
+
+        // Results of "=" formula cells ("row:col" keys, see formulas.mjs) and
+        // the aggregate chosen for each column of the summary row ('' for none)
+        this.formulaResults = new Map();
+        this.showSummary = false;
+        this.summaryAggregates = [];
+
+        // Filter text typed for each column and which columns are hidden.
+        // Neither changes the table: visibleRows lists the body rows the
+        // filters leave shown (null when no filter is set).
+        this.showFilters = false;
+        this.columnFilters = [];
+        this.hiddenColumns = [];
+        this.visibleRows = null;
+        this.shownRows = null;
+
+        // Problems found in the document (see diagnostics.mjs) and the text
+        // they were found in. Table edits re-check it once typing pauses.
+        this.diagnostics = [];
+        this.diagnosedMarkdown = null;
+        this.diagnosticsTimer = null;
+        this.diagnosticsDelay = 300;
+        this.maxDiagnostics = 100;
+
+        // Each table of the document as first loaded, by index, to show what
+        // changed since (see table-diff.mjs)
+        this.originalTables = new Map();
+        this.showDiff = false;
+        this.diffSummary = '';
+        this.diffContext = 1;
+        this.maxDiffRows = 500;
+
         // Keep stable references to header drag handlers per element
         // to avoid duplicate listeners and enable proper removal
         this.headerDragHandlers = new WeakMap();
+        this.rowDragHandlers = new WeakMap();
 
         this.init();
     }
 
     init() {
         // Event listeners
-        this.markdownInput.addEventListener('input', () => this.parseMarkdown());
-        document.getElementById('createTable').addEventListener('click', () => this.createNewTable());
-        document.getElementById('exportMarkdown').addEventListener('click', () => this.exportMarkdown());
-        document.getElementById('addRow').addEventListener('click', () => this.addRow());
-        document.getElementById('addColumn').addEventListener('click', () => this.addColumn());
-        document.getElementById('deleteRow').addEventListener('click', () => this.deleteRow());
-        document.getElementById('deleteColumn').addEventListener('click', () => this.deleteColumn());
+        this.markdownInput.addEventListener('input', () => {
+            this.scheduleParse();
+            this.recordHistory('textarea');
+        });
+        this.markdownInput.addEventListener('blur', () => {
+            // The table must be current before it can be edited
+            this.flushParse();
+            this.endHistoryGroup();
+        });
+        this.tableContainer.addEventListener('scroll', () => this.scheduleVisibleRender());
+        this.root.getElementById('createTable').addEventListener('click', () => this.createNewTable());
+        this.root.getElementById('exportTable').addEventListener('click', () => this.exportTable());
+        this.markdownInput.addEventListener('paste', (e) => this.handlePaste(e));
+
+        // CSV/TSV file import through a hidden file input
+        const fileInput = this.root.getElementById('importFileInput');
+        this.root.getElementById('importFile').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            this.importFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        this.root.getElementById('copyDocument').addEventListener('click', () => this.copyDocument());
+        this.root.getElementById('prettyPrint').addEventListener('change', (e) => this.setPrettyPrint(e.target.checked));
+        this.tableSelect.addEventListener('change', () => this.selectTable(Number(this.tableSelect.value)));
+        this.dialectSelect.addEventListener('change', () => this.setTableDialect(this.dialectSelect.value));
+        this.root.getElementById('addRow').addEventListener('click', () => this.addRow());
+        this.root.getElementById('addColumn').addEventListener('click', () => this.addColumn());
+        this.root.getElementById('deleteRow').addEventListener('click', () => this.deleteRow());
+        this.root.getElementById('deleteColumn').addEventListener('click', () => this.deleteColumn());
+        this.root.getElementById('transpose').addEventListener('click', () => this.transposeTable());
+        this.root.getElementById('splitColumn').addEventListener('click', () => this.splitColumn());
+        this.root.getElementById('mergeColumns').addEventListener('click', () => this.mergeColumns());
+        this.root.getElementById('fillDown').addEventListener('click', () => this.fillDown());
+        this.root.getElementById('showSummary').addEventListener('change', (e) => this.toggleSummary(e.target.checked));
+        this.root.getElementById('fixAll').addEventListener('click', () => this.fixAllDiagnostics());
+        this.root.getElementById('toggleFilters').addEventListener('click', () => this.toggleFilters());
+        this.root.getElementById('showColumns').addEventListener('click', () => this.showAllColumns());
+        this.root.getElementById('toggleDiff').addEventListener('click', () => this.toggleDiff());
+        this.root.getElementById('copyDiffSummary').addEventListener('click', () => this.copyToClipboard(this.diffSummary, 'Change summary'));
+        this.root.getElementById('resetDiff').addEventListener('click', () => this.resetOriginalTable());
+        this.diagnosticsList.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            const diagnostic = this.diagnostics[button.closest('li').dataset.index];
+            if (button.classList.contains('diagnostic-line')) {
+                this.revealLine(diagnostic.line);
+            } else {
+                this.applyDiagnosticFix(diagnostic, diagnostic.fixes[button.dataset.fix]);
+            }
+        });
+        this.root.getElementById('undo').addEventListener('click', () => this.undo());
+        this.root.getElementById('redo').addEventListener('click', () => this.redo());
+
+        // Undo/redo shortcuts replace the browser's own per-field undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || this.readOnly || !this.ownsEvent(e)) return;
+            // Other fields (find and replace, filters) keep their own text
+            // undo. Inside a shadow root e.target is the host element.
+            const target = e.composedPath()[0];
+            if (target !== this.markdownInput && target.matches && target.matches('input, select, textarea')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        }, { signal: this.listeners.signal });
 
         // Mode toggle
-        document.getElementById('toggleMode').addEventListener('click', () => this.toggleMode());
+        this.root.getElementById('toggleMode').addEventListener('click', () => this.toggleMode());
 
         // Table cell editing
         this.editableTable.addEventListener('input', (e) => {
             if (e.target.tagName === 'TD' || e.target.tagName === 'TH') {
-                this.updateMarkdown();
+                // Keystrokes in the same cell are grouped into one undo step
+                const rowIndex = this.getRowIndex(e.target.parentElement);
+                const text = this.getCellText(e.target);
+                this.cellSources.set(e.target, text);
+                this.table = Table.setCell(this.table, rowIndex, e.target.cellIndex, text);
+                this.updateCalculations();
+                this.updateMarkdown(`cell:${rowIndex}:${e.target.cellIndex}`, rowIndex);
+            }
+        });
+
+        // Column filters and hide buttons under the header
+        this.editableTable.addEventListener('input', (e) => {
+            if (!e.target.classList.contains('filter-input')) return;
+            this.columnFilters[e.target.closest('td').cellIndex] = e.target.value;
+            this.renderTable();
+        });
+        this.editableTable.addEventListener('click', (e) => {
+            const button = e.target.closest('.hide-column');
+            if (!button) return;
+            const col = button.closest('td').cellIndex;
+            this.hideColumns(col, col);
+        });
+
+        // Summary row aggregate pickers
+        this.editableTable.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('summary-select')) return;
+            this.summaryAggregates[e.target.closest('td').cellIndex] = e.target.value;
+            this.renderSummary();
+        });
+        this.editableTable.addEventListener('focusout', (e) => {
+            this.endHistoryGroup();
+            if (e.target.tagName === 'TD' || e.target.tagName === 'TH') {
+                this.setCellText(e.target, this.getCellSource(e.target), false);
+            }
+        });
+
+        // The cell being edited shows its markdown source
+        this.editableTable.addEventListener('focusin', (e) => {
+            // Keys and clipboard in a filter box are for the box, not a selected range
+            if (e.target.classList.contains('filter-input')) {
+                this.clearSelections();
+                return;
+            }
+
+            const cell = e.target;
+            if ((cell.tagName !== 'TD' && cell.tagName !== 'TH') || !cell.classList.contains('formatted')) return;
+
+            this.setCellText(cell, this.getCellSource(cell), true);
+            const selection = this.getDomSelection();
+            if (!selection.rangeCount || !cell.contains(selection.anchorNode)) {
+                this.focusCell(cell);
+            }
+        });
+
+        // Header sort and alignment controls (delegated, so they survive re-rendering)
+        this.editableTable.addEventListener('click', (e) => {
+            const control = e.target.closest('.sort-control, .align-control');
+            if (!control || this.readOnly) return;
+
+            e.preventDefault();
+            const th = control.closest('th');
+            const colIndex = Array.from(th.parentElement.children).indexOf(th);
+
+            if (control.classList.contains('sort-control')) {
+                this.toggleSort(colIndex, e.shiftKey);
+            } else {
+                this.cycleAlignment(colIndex);
             }
         });
 
         // Initialize selection system
         this.initSelectionSystem();
 
+        // Spreadsheet-style movement between cells
+        this.initKeyboardNavigation();
+
+        // Insert, duplicate and move rows and columns around the selection
+        this.initTableCommands();
+
+        // Find and replace panel
+        this.initFindReplace();
+
         // Initialize drag and drop
         this.initDragAndDrop();
 
@@ -48,501 +314,3487 @@ class MarkdownTableEditor {
 
         // Update UI initially
         this.updateUI();
+
+        // Restore the last document and list saved tables
+        if (this.libraryName !== null) {
+            this.initLibrary();
+        } else {
+            this.workspace.classList.add('no-library');
+            this.parseMarkdown();
+        }
+        this.setReadOnly(this.readOnly);
+
+        // Starting point for the undo history
+        this.lastSnapshot = this.captureState();
+        this.updateHistoryButtons();
+    }
+
+    // Tell the host page what happened, e.g. { markdown } after a change
+    emit(type, detail) {
+        if (this.host) this.host.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+    }
+
+    // Whether a page-wide event (keys, clipboard) happened inside this editor,
+    // as the page may hold several
+    ownsEvent(e) {
+        return e.composedPath().includes(this.workspace);
+    }
+
+    // Clipboard events for the table's cells and range, not for the Markdown
+    // area or the other inputs, and not already handled elsewhere
+    isTableClipboardEvent(e) {
+        if (e.defaultPrevented) return false;
+        return e.composedPath().includes(this.editableTable) || this.root.activeElement === this.editableTable;
+    }
+
+    // The text selection; in a shadow root Chromium only tells it from there
+    getDomSelection() {
+        return this.root.getSelection ? this.root.getSelection() : window.getSelection();
+    }
+
+    // Stop the editor, e.g. when its element leaves the page: unsaved typing
+    // is saved and nothing outside its elements refers to it any more
+    destroy() {
+        if (this.library) this.autosave();
+        clearTimeout(this.parseTimer);
+        clearTimeout(this.diagnosticsTimer);
+        cancelAnimationFrame(this.scrollFrame);
+        this.parseTimer = null;
+        this.diagnosticsTimer = null;
+        this.scrollFrame = null;
+        this.listeners.abort();
+        if (findRanges.delete(this)) updateFindHighlights();
+    }
+
+    // Replace the whole document, e.g. from the host page. Like switching
+    // library entries, the undo history and the diff start over.
+    setMarkdown(markdown) {
+        this.markdownInput.value = markdown;
+        this.activeTableIndex = 0;
+        this.resetColumnSettings();
+        this.clearSelections();
+        this.originalTables.clear();
+        this.gridDialect = null;
+        this.parseMarkdown();
+        this.resetHistory();
+        this.scheduleAutosave();
+    }
+
+    // Show the document without letting it change: cells and the Markdown
+    // area aren't editable and the controls that would edit are hidden.
+    // Filtering, finding, copying and exporting still work.
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.workspace.classList.toggle('readonly', readOnly);
+        this.markdownInput.readOnly = readOnly;
+        if (readOnly && this.isDragMode) this.toggleMode();
+        this.hideContextMenu();
+        this.applyModeSettings();
     }
 
     parseMarkdown() {
+        clearTimeout(this.parseTimer);
+        this.parseTimer = null;
+        this.lastSerialized = null;
+
         const markdown = this.markdownInput.value;
-        if (!markdown.trim()) {
+        this.tables = this.findTables(markdown);
+        this.updateDiagnostics();
+
+        if (this.tables.length === 0) {
             this.clearTable();
+            this.updateTablePicker();
             return;
         }
 
-        const table = this.markdownToTable(markdown);
-        if (table) {
-            this.renderTable(table);
-            // Drag listeners are already attached in renderTable()
+        if (this.activeTableIndex >= this.tables.length) {
+            this.activeTableIndex = this.tables.length - 1;
         }
+
+        this.table = Table.cloneTable(this.tables[this.activeTableIndex].table);
+        if (!this.originalTables.has(this.activeTableIndex)) {
+            this.originalTables.set(this.activeTableIndex, Table.cloneTable(this.table));
+        }
+        this.sortKeys = [];
+        this.renderTable();
+        this.updateTablePicker();
+        this.runFind(true);
+        // Drag listeners are already attached in renderTable()
     }
 
-    markdownToTable(markdown) {
-        const lines = markdown.trim().split('\n');
-        if (lines.length < 2) return null;
+    scheduleParse() {
+        clearTimeout(this.parseTimer);
+        this.parseTimer = setTimeout(() => this.parseMarkdown(), this.parseDelay);
+    }
 
-        const rows = [];
-        let isHeader = true;
+    // Parse straight away if textarea changes are still waiting
+    flushParse() {
+        if (this.parseTimer) this.parseMarkdown();
+    }
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line || !line.includes('|')) continue;
+    // Parse the first table in a piece of markdown, in any dialect
+    markdownToTable(markdown) {
+        return Dialects.parseTable(markdown);
+    }
 
-            // Skip separator line (usually second line with dashes)
-            if (i === 1 && line.match(/^\s*\|[\s\-\|:]+\|\s*$/)) {
-                continue;
-            }
+    // Every table in a document, with the dialect it is written in
+    findTables(markdown) {
+        return Dialects.findTables(markdown, { gridDialect: this.gridDialect });
+    }
 
-            const cells = line.split('|').map(cell => cell.trim());
-            // Remove empty cells at start/end if they exist
-            if (cells[0] === '') cells.shift();
-            if (cells[cells.length - 1] === '') cells.pop();
+    // Populate the table picker; it is only shown when there is a choice to make
+    updateTablePicker() {
+        const picker = this.tableSelect.parentElement;
+        this.tableSelect.innerHTML = '';
+
+        this.tables.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            const headers = entry.table.headers.filter(Boolean).slice(0, 3).join(', ');
+            const dialect = entry.dialect === 'gfm' ? '' : `, ${Dialects.dialectLabel(entry.dialect)}`;
+            option.textContent = `Table ${index + 1} (line ${entry.startLine + 1}${dialect})${headers ? ': ' + headers : ''}`;
+            this.tableSelect.appendChild(option);
+        });
 
-            rows.push(cells);
-        }
+        this.tableSelect.value = this.activeTableIndex;
+        picker.hidden = this.tables.length < 2;
 
-        return rows.length > 0 ? rows : null;
+        const active = this.tables[this.activeTableIndex];
+        this.dialectSelect.value = active ? active.dialect : 'gfm';
+        this.dialectSelect.disabled = !active;
     }
 
-    renderTable(rows) {
-        // Clear existing content
-        this.editableTable.innerHTML = '';
+    // Rewrite the table being edited in another dialect
+    setTableDialect(dialect) {
+        const table = this.tables[this.activeTableIndex];
+        if (!table || this.readOnly) return;
 
-        // Create thead and tbody
-        const thead = document.createElement('thead');
-        const tbody = document.createElement('tbody');
+        // Grid tables only show their dialect through alignment colons
+        if (dialect === 'pandoc-grid' || dialect === 'rst-grid') this.gridDialect = dialect;
+        table.dialect = dialect;
+        this.updateMarkdown();
+    }
 
-        // First row becomes header
-        if (rows.length > 0) {
-            const headerRow = document.createElement('tr');
+    selectTable(index) {
+        if (index < 0 || index >= this.tables.length) return;
 
-            rows[0].forEach((cell, cellIndex) => {
-                const th = document.createElement('th');
-                th.contentEditable = true;
-                th.textContent = cell;
-                th.setAttribute('data-col', cellIndex);
-                headerRow.appendChild(th);
-            });
+        this.activeTableIndex = index;
+        this.resetColumnSettings();
+        this.clearSelections();
+        this.parseMarkdown();
+        this.recordHistory();
+    }
 
-            thead.appendChild(headerRow);
+    // Bring the table element in line with the model, only touching cells
+    // whose text changed so focus and caret survive. Long tables render just
+    // the body rows in view (or around body row `anchorRow`); spacer rows stand
+    // in for the rest. Rows the filters leave out are not rendered at all.
+    renderTable(anchorRow = null) {
+        this.formulaResults = Formulas.evaluateFormulas(this.table);
+        this.updateVisibleRows();
+
+        let thead = this.editableTable.tHead;
+        let tbody = this.editableTable.tBodies[0];
+        if (!thead) thead = this.editableTable.appendChild(document.createElement('thead'));
+        if (!tbody) tbody = this.editableTable.appendChild(document.createElement('tbody'));
+
+        // Header row
+        if (this.table.headers.length === 0) {
+            thead.innerHTML = '';
+        } else {
+            let headerRow = thead.rows[0];
+            if (!headerRow) {
+                headerRow = thead.appendChild(document.createElement('tr'));
+                headerRow.dataset.row = 0;
+            }
+            this.patchRow(headerRow, this.table.headers, 'th');
         }
 
-        // Remaining rows go to tbody
-        rows.slice(1).forEach((row, rowIndex) => {
-            const tr = document.createElement('tr');
-
-            row.forEach((cell, cellIndex) => {
-                const td = document.createElement('td');
-                td.contentEditable = true;
-                td.textContent = cell;
-                td.setAttribute('data-col', cellIndex);
-                tr.appendChild(td);
-            });
+        // Body rows in view, as positions among the shown rows. Rows that
+        // stay in view keep their element (and focus); elements of rows that
+        // scrolled out are reused for new ones.
+        const shown = this.visibleRows;
+        const count = shown ? shown.length : this.table.rows.length;
+        const anchor = anchorRow !== null && shown ? shown.indexOf(anchorRow) : anchorRow;
+        const { start, end } = this.getVisibleRange(anchor === -1 ? null : anchor);
+        const virtualized = end - start < count;
+        this.renderedRange = { start, end };
+        this.tableContainer.classList.toggle('virtualized', virtualized);
+
+        const rendered = [];
+        for (let position = start; position < end; position++) {
+            rendered.push(shown ? shown[position] : position);
+        }
+        const inView = new Set(rendered);
+
+        const kept = new Map();
+        const spare = [];
+        tbody.querySelectorAll('tr[data-row]').forEach(tr => {
+            const index = this.getRowIndex(tr) - 1;
+            if (inView.has(index)) {
+                kept.set(index, tr);
+            } else {
+                tr.remove();
+                spare.push(tr);
+            }
+        });
 
-            tbody.appendChild(tr);
+        // Spacers keep the scrollbar the size of the whole table
+        tbody.querySelectorAll('tr.virtual-spacer').forEach(spacer => {
+            if (!virtualized) spacer.remove();
         });
+        if (virtualized) {
+            const columns = Math.max(1, this.table.headers.length);
+            [['top', start], ['bottom', count - end]].forEach(([position, rows]) => {
+                const spacer = this.getSpacer(tbody, position);
+                spacer.cells[0].colSpan = columns;
+                spacer.cells[0].style.height = `${rows * this.rowHeight}px`;
+            });
+        }
 
-        this.editableTable.appendChild(thead);
-        this.editableTable.appendChild(tbody);
+        let previous = tbody.querySelector('tr.virtual-spacer[data-position="top"]');
+        for (const i of rendered) {
+            let tr = kept.get(i);
+            if (!tr) {
+                tr = spare.pop() || document.createElement('tr');
+                tr.dataset.row = i + 1;
+                if (previous) {
+                    previous.after(tr);
+                } else {
+                    tbody.prepend(tr);
+                }
+            }
+            this.patchRow(tr, this.table.rows[i], 'td');
+            previous = tr;
+        }
 
         // Apply current mode settings
         this.applyModeSettings();
+        this.applyAlignments();
+        this.applySortIndicators();
+        this.applySelectionClasses();
+        this.applyFindHighlights();
+        this.refreshFormulaCells();
+        this.renderSummary();
+        this.renderFilterRow();
+        this.applyColumnVisibility();
 
         // Attach drag listeners to newly created headers
         this.attachDragListeners();
+
+        if (virtualized) this.measureRowHeight();
+
+        // The status counts the rows shown
+        this.updateUI();
+        this.renderDiff();
+    }
+
+    // Match a row element's cells to the given texts
+    patchRow(tr, texts, tag) {
+        // Rows with more or fewer cells than the header are listed as diagnostics
+        if (tag === 'td') {
+            const ragged = texts.length !== this.table.headers.length;
+            tr.classList.toggle('ragged', ragged);
+            if (ragged) {
+                tr.title = `This row has ${texts.length} cells, but the header has ${this.table.headers.length}`;
+            } else {
+                tr.removeAttribute('title');
+            }
+        }
+
+        while (tr.cells.length > texts.length) {
+            tr.lastElementChild.remove();
+        }
+
+        texts.forEach((text, colIndex) => {
+            let cell = tr.cells[colIndex];
+            if (!cell) {
+                cell = document.createElement(tag);
+                cell.setAttribute('data-col', colIndex);
+                if (tag === 'th') cell.appendChild(this.createHeaderControls());
+                tr.appendChild(cell);
+            }
+            if (this.getCellSource(cell) !== text) {
+                this.setCellText(cell, text);
+            }
+        });
+    }
+
+    // Placeholder row standing in for the body rows above or below the view
+    getSpacer(tbody, position) {
+        let spacer = tbody.querySelector(`tr.virtual-spacer[data-position="${position}"]`);
+        if (!spacer) {
+            spacer = document.createElement('tr');
+            spacer.className = 'virtual-spacer';
+            spacer.dataset.position = position;
+            spacer.setAttribute('aria-hidden', 'true');
+            spacer.appendChild(document.createElement('td'));
+        }
+
+        // The top spacer always comes first and the bottom one last
+        if (position === 'top' && tbody.firstElementChild !== spacer) {
+            tbody.prepend(spacer);
+        } else if (position === 'bottom' && tbody.lastElementChild !== spacer) {
+            tbody.appendChild(spacer);
+        }
+        return spacer;
+    }
+
+    // Positions among the shown body rows to render (end exclusive): all of
+    // them for short tables, otherwise the rows scrolled into view plus a
+    // margin on either side
+    getVisibleRange(anchorRow = null) {
+        const count = this.visibleRows ? this.visibleRows.length : this.table.rows.length;
+        if (count <= this.virtualizeAfter) return { start: 0, end: count };
+
+        const thead = this.editableTable.tHead;
+        const top = Math.max(0, this.tableContainer.scrollTop - (thead ? thead.offsetHeight : 0));
+        const visibleRows = Math.ceil((this.tableContainer.clientHeight || window.innerHeight || 800) / this.rowHeight);
+        const size = visibleRows + 2 * this.overscanRows;
+
+        let start = Math.floor(top / this.rowHeight) - this.overscanRows;
+        if (anchorRow !== null && (anchorRow < start || anchorRow >= start + size)) {
+            start = anchorRow - Math.floor(size / 2);
+        }
+        start = Math.max(0, Math.min(start, count - size));
+
+        return { start, end: Math.min(count, start + size) };
+    }
+
+    // Average height of the rendered body rows, used to size the spacers
+    measureRowHeight() {
+        const rows = this.editableTable.querySelectorAll('tbody tr[data-row]');
+        const total = Array.from(rows).reduce((sum, tr) => sum + tr.offsetHeight, 0);
+        if (total > 0) this.rowHeight = total / rows.length;
+    }
+
+    scheduleVisibleRender() {
+        if (this.scrollFrame || !this.tableContainer.classList.contains('virtualized')) return;
+
+        this.scrollFrame = requestAnimationFrame(() => {
+            this.scrollFrame = null;
+            const { start, end } = this.getVisibleRange();
+            if (!this.renderedRange || start !== this.renderedRange.start || end !== this.renderedRange.end) {
+                this.renderTable();
+            }
+        });
+    }
+
+    // Table row index (0 is the header) of a rendered row element, or -1
+    getRowIndex(tr) {
+        return tr && tr.dataset.row !== undefined ? Number(tr.dataset.row) : -1;
+    }
+
+    // Rendered element for a table row, or null when it is scrolled out of view
+    getRowElement(rowIndex) {
+        if (rowIndex === 0) return this.editableTable.tHead ? this.editableTable.tHead.rows[0] || null : null;
+        return this.editableTable.querySelector(`tbody tr[data-row="${rowIndex}"]`);
+    }
+
+    // Header and body row elements currently rendered
+    getRenderedRows() {
+        return Array.from(this.editableTable.querySelectorAll('thead tr[data-row], tbody tr[data-row]'));
+    }
+
+    // Rendered element for a table row, scrolling a long table to it first.
+    // Null for rows the filters leave out.
+    revealRow(rowIndex) {
+        const tr = this.getRowElement(rowIndex);
+        if (tr || rowIndex < 1 || rowIndex > this.table.rows.length || !this.isRowShown(rowIndex)) return tr;
+
+        this.renderTable(rowIndex - 1);
+        const revealed = this.getRowElement(rowIndex);
+        if (revealed && revealed.scrollIntoView) revealed.scrollIntoView({ block: 'center' });
+        return revealed;
     }
 
     tableToMarkdown() {
-        const thead = this.editableTable.querySelector('thead');
-        const tbody = this.editableTable.querySelector('tbody');
-        if (!thead && !tbody) return '';
-
-        let markdown = '';
-
-        // Process header row
-        if (thead) {
-            const headerRow = thead.querySelector('tr');
-            if (headerRow) {
-                const cells = Array.from(headerRow.querySelectorAll('th'));
-                if (cells.length > 0) {
-                    const cellTexts = cells.map(cell => cell.textContent || '');
-                    markdown += '| ' + cellTexts.join(' | ') + ' |\n';
-
-                    // Add separator line after header
-                    const separator = cells.map(() => '---').join(' | ');
-                    markdown += '| ' + separator + ' |\n';
+        return Table.serializeTable(this.getExportTable(), { pretty: this.prettyPrint });
+    }
+
+    // The table as exported: formulas as typed or their results, the full
+    // table or just the rows and columns shown, plus the summary row when it is shown
+    getExportTable() {
+        const filtered = this.isFiltered() && this.root.getElementById('exportScope').value === 'filtered';
+        // Cell references don't hold once rows or columns are left out
+        const computed = filtered || this.root.getElementById('exportValues').value === 'computed';
+        let table = computed ? Formulas.computeTable(this.table, this.formulaResults) : this.table;
+        let aggregates = this.summaryAggregates;
+
+        if (filtered) {
+            table = this.getFilteredTable(table);
+            aggregates = this.getShownColumns().map(col => this.summaryAggregates[col]);
+        }
+
+        if (this.showSummary && aggregates.some(Boolean)) {
+            const summary = Formulas.summaryRow(table, aggregates, {
+                formulas: !computed,
+                results: table === this.table ? this.formulaResults : null
+            });
+            table = Table.insertRow(table, table.rows.length, summary);
+        }
+        return table;
+    }
+
+    setPrettyPrint(enabled) {
+        this.prettyPrint = enabled;
+        if (this.tables[this.activeTableIndex]) {
+            this.updateMarkdown();
+        }
+    }
+
+    // Cell text without any embedded UI controls (e.g. the alignment button)
+    getCellText(cell) {
+        if (!cell.querySelector('.cell-control')) {
+            return cell.textContent || '';
+        }
+
+        const clone = cell.cloneNode(true);
+        clone.querySelectorAll('.cell-control').forEach(control => control.remove());
+        return clone.textContent || '';
+    }
+
+    // Markdown source of a cell, whether it is showing formatted or not
+    getCellSource(cell) {
+        return this.cellSources.has(cell) ? this.cellSources.get(cell) : this.getCellText(cell);
+    }
+
+    supportsPlaintextEditing() {
+        const probe = document.createElement('div');
+        try {
+            probe.contentEditable = 'plaintext-only';
+        } catch (error) {
+            return false;
+        }
+        return probe.contentEditable === 'plaintext-only';
+    }
+
+    // Sort and alignment buttons shown inside each header cell
+    createHeaderControls() {
+        const controls = document.createElement('span');
+        controls.className = 'cell-control header-controls';
+        controls.contentEditable = false;
+
+        ['sort-control', 'align-control'].forEach(className => {
+            const control = document.createElement('button');
+            control.type = 'button';
+            control.className = className;
+            controls.appendChild(control);
+        });
+
+        return controls;
+    }
+
+    cycleAlignment(colIndex) {
+        const order = ['none', 'left', 'center', 'right'];
+        const current = this.table.alignments[colIndex] || 'none';
+        this.setAlignment(colIndex, order[(order.indexOf(current) + 1) % order.length]);
+    }
+
+    setAlignment(colIndex, alignment) {
+        if (colIndex < 0 || colIndex >= this.table.headers.length) return;
+
+        this.table = Table.setAlignment(this.table, colIndex, alignment);
+        this.applyAlignments();
+        this.updateMarkdown();
+    }
+
+    // Reflect the alignment model in the rendered table and header controls
+    applyAlignments() {
+        const labels = { none: '≡', left: '⇤', center: '↔', right: '⇥' };
+        const rows = this.getRenderedRows();
+
+        for (let i = 0; i < rows.length; i++) {
+            Array.from(rows[i].cells).forEach((cell, colIndex) => {
+                const alignment = this.table.alignments[colIndex] || 'none';
+                cell.style.textAlign = alignment === 'none' ? '' : alignment;
+
+                const control = cell.querySelector('.align-control');
+                if (control) {
+                    control.textContent = labels[alignment];
+                    control.title = `Alignment: ${alignment} (click to change)`;
+                    control.setAttribute('data-align', alignment);
                 }
+            });
+        }
+    }
+
+    // Plain click sorts by this column alone (toggling direction when it is
+    // already the only key); Shift+click adds it as a further sort key.
+    toggleSort(colIndex, addKey = false) {
+        const existing = this.sortKeys.find(key => key.column === colIndex);
+
+        if (addKey) {
+            if (existing) {
+                existing.direction = existing.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                this.sortKeys.push({ column: colIndex, direction: 'asc' });
+            }
+        } else {
+            const direction = existing && this.sortKeys.length === 1 && existing.direction === 'asc'
+                ? 'desc'
+                : 'asc';
+            this.sortKeys = [{ column: colIndex, direction }];
+        }
+
+        this.sortRows();
+    }
+
+    // Stable sort of the body rows by every active sort key
+    sortRows() {
+        if (this.table.rows.length === 0 || this.sortKeys.length === 0) return;
+
+        this.table = Table.sortRows(this.table, this.sortKeys);
+        this.clearSelections();
+        this.renderTable();
+        this.updateMarkdown();
+        this.emit('reorder', { axis: 'row', sortKeys: this.sortKeys.map(key => ({ ...key })) });
+    }
+
+    applySortIndicators() {
+        const headers = this.editableTable.querySelectorAll('thead th');
+
+        headers.forEach((th, colIndex) => {
+            const control = th.querySelector('.sort-control');
+            if (!control) return;
+
+            const position = this.sortKeys.findIndex(key => key.column === colIndex);
+            const key = this.sortKeys[position];
+
+            if (!key) {
+                control.textContent = '⇅';
+                control.title = 'Sort by this column (Shift+click to add as another sort key)';
+                control.removeAttribute('data-sort');
+                return;
+            }
+
+            const arrow = key.direction === 'asc' ? '▲' : '▼';
+            control.textContent = this.sortKeys.length > 1 ? `${arrow}${position + 1}` : arrow;
+            control.title = `Sorted ${key.direction === 'asc' ? 'ascending' : 'descending'} (click to reverse)`;
+            control.setAttribute('data-sort', key.direction);
+        });
+    }
+
+    // Write the edited table back into the document, replacing only its lines.
+    // Changes sharing a history group are undone together. When only one row
+    // (`changedRow`) was edited, just its line is rewritten where possible.
+    updateMarkdown(historyGroup = null, changedRow = null) {
+        const table = this.tables[this.activeTableIndex];
+        const dialect = table ? table.dialect : 'gfm';
+        const line = dialect === 'gfm' && changedRow !== null ? this.serializeChangedRow(changedRow) : null;
+        let widths = null;
+
+        if (line !== null) {
+            this.replaceLine(table.startLine + (changedRow === 0 ? 0 : changedRow + 1), line);
+            table.table = this.table;
+            widths = this.lastSerialized.widths;
+            if (changedRow === 0) this.updateTablePicker();
+        } else {
+            // Only GFM tables can have single rows rewritten later
+            widths = dialect === 'gfm' && this.prettyPrint ? Table.getColumnWidths(this.table) : null;
+            const markdown = Dialects.serializeTable(this.table, dialect, { pretty: this.prettyPrint, widths }).replace(/\n$/, '');
+
+            if (!table) {
+                this.markdownInput.value = markdown;
+            } else {
+                // Tables indented e.g. in a list item or inside a reST
+                // directive stay indented
+                const lines = this.markdownInput.value.split(/\r?\n/);
+                const indent = lines[table.startLine].match(/^[ \t]*/)[0];
+                lines.splice(table.startLine, table.endLine - table.startLine, ...markdown.split('\n').map(text => text && indent + text));
+                this.markdownInput.value = lines.join('\n');
             }
+
+            // Line ranges of this and later tables may have shifted
+            this.tables = this.findTables(this.markdownInput.value);
+            this.updateTablePicker();
+        }
+        this.lastSerialized = { table: this.table, widths };
+
+        this.recordHistory(historyGroup);
+        this.runFind(true);
+        this.scheduleDiagnostics();
+    }
+
+    // The new line for one edited row, or null when more of the table has to
+    // be rewritten: the editor did not write the current text, or a padded
+    // column gets wider or narrower
+    serializeChangedRow(rowIndex) {
+        const last = this.lastSerialized;
+        if (!last || this.parseTimer || Boolean(last.widths) !== this.prettyPrint) return null;
+        if (last.table.headers.length !== this.table.headers.length || last.table.rows.length !== this.table.rows.length) {
+            return null;
+        }
+
+        const cells = rowIndex === 0 ? this.table.headers : this.table.rows[rowIndex - 1];
+        const previous = rowIndex === 0 ? last.table.headers : last.table.rows[rowIndex - 1];
+        if (!cells || cells.length === 0 || cells.length !== previous.length) return null;
+        if (!last.widths) return Table.serializeRow(cells);
+
+        const sameWidths = cells.every((text, i) => {
+            const width = Table.cellWidth(text);
+            // A column narrows when its widest cell gets shorter
+            return width <= last.widths[i] && (width === last.widths[i] || Table.cellWidth(previous[i]) < last.widths[i]);
+        });
+        return sameWidths ? Table.serializeRow(cells, last.widths, this.table.alignments) : null;
+    }
+
+    // Swap one line of the document without rewriting the rest, keeping its
+    // indentation
+    replaceLine(lineIndex, text) {
+        const { start, end } = this.getLineRange(lineIndex);
+        const indent = this.markdownInput.value.slice(start, end).match(/^[ \t]*/)[0];
+        this.markdownInput.setRangeText(indent + text, start, end, 'preserve');
+    }
+
+    // Character offsets of a line of the document, without its line break
+    getLineRange(lineIndex) {
+        const value = this.markdownInput.value;
+        let start = 0;
+        for (let i = 0; i < lineIndex; i++) {
+            start = value.indexOf('\n', start) + 1;
         }
 
-        // Process body rows
-        if (tbody) {
-            const bodyRows = Array.from(tbody.querySelectorAll('tr'));
-            bodyRows.forEach((row) => {
-                const cells = Array.from(row.querySelectorAll('td'));
-                if (cells.length === 0) return;
+        let end = value.indexOf('\n', start);
+        if (end === -1) end = value.length;
+        if (value[end - 1] === '\r') end--;
+
+        return { start, end };
+    }
+
+    // Check the document for malformed tables and list the problems
+    updateDiagnostics() {
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = null;
+
+        const markdown = this.markdownInput.value;
+        this.diagnostics = Diagnostics.diagnoseMarkdown(markdown);
+        this.diagnosedMarkdown = markdown;
+        this.renderDiagnostics();
+    }
+
+    scheduleDiagnostics() {
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = setTimeout(() => this.updateDiagnostics(), this.diagnosticsDelay);
+    }
 
-                const cellTexts = cells.map(cell => cell.textContent || '');
-                markdown += '| ' + cellTexts.join(' | ') + ' |\n';
+    renderDiagnostics() {
+        const count = this.diagnostics.length;
+        this.diagnosticsPanel.hidden = count === 0;
+        this.diagnosticsList.innerHTML = '';
+        this.root.getElementById('diagnosticsSummary').textContent = `${count} ${count === 1 ? 'problem' : 'problems'}`;
+        this.root.getElementById('fixAll').disabled = !this.diagnostics.some(diagnostic => diagnostic.fixes.length > 0);
+
+        this.diagnostics.slice(0, this.maxDiagnostics).forEach((diagnostic, index) => {
+            const item = document.createElement('li');
+            item.className = `diagnostic ${diagnostic.severity}`;
+            item.dataset.index = index;
+
+            if (diagnostic.line !== null) {
+                const line = document.createElement('button');
+                line.className = 'diagnostic-line';
+                line.textContent = `Line ${diagnostic.line + 1}`;
+                line.title = 'Show this line in the markdown';
+                item.appendChild(line);
+            }
+
+            const message = document.createElement('span');
+            message.className = 'diagnostic-message';
+            message.textContent = diagnostic.message;
+            item.appendChild(message);
+
+            diagnostic.fixes.forEach((fix, fixIndex) => {
+                const button = document.createElement('button');
+                button.className = 'diagnostic-fix';
+                button.dataset.fix = fixIndex;
+                button.textContent = fix.label;
+                button.title = fix.title;
+                item.appendChild(button);
             });
+
+            this.diagnosticsList.appendChild(item);
+        });
+
+        if (count > this.maxDiagnostics) {
+            const more = document.createElement('li');
+            more.className = 'diagnostic more';
+            more.textContent = `and ${count - this.maxDiagnostics} more`;
+            this.diagnosticsList.appendChild(more);
         }
+    }
 
-        return markdown;
+    // Select a line of the markdown and scroll it into view
+    revealLine(lineIndex) {
+        const { start, end } = this.getLineRange(lineIndex);
+        this.markdownInput.setSelectionRange(start, end);
+        // Focusing after selecting is what scrolls the textarea to the selection
+        this.markdownInput.blur();
+        this.markdownInput.focus();
     }
 
-    updateMarkdown() {
-        const markdown = this.tableToMarkdown();
-        this.markdownInput.value = markdown;
+    applyDiagnosticFix(diagnostic, fix) {
+        // The document changed since it was checked; show the current problems instead
+        if (this.markdownInput.value !== this.diagnosedMarkdown) {
+            this.updateDiagnostics();
+            return;
+        }
+
+        const markdown = Diagnostics.applyFix(this.markdownInput.value, fix);
+
+        // Edit the table the fix repaired
+        const index = this.findTables(markdown).findIndex(t => t.startLine <= diagnostic.line && diagnostic.line < t.endLine);
+        if (index !== -1 && index !== this.activeTableIndex) {
+            this.activeTableIndex = index;
+            this.resetColumnSettings();
+        }
+
+        this.replaceDocument(markdown);
     }
 
-    createNewTable() {
-        const defaultTable = `| Header 1 | Header 2 | Header 3 |
-| --- | --- | --- |
-| Cell 1 | Cell 2 | Cell 3 |
-| Cell 4 | Cell 5 | Cell 6 |`;
+    fixAllDiagnostics() {
+        const markdown = this.markdownInput.value;
 
-        this.markdownInput.value = defaultTable;
-        this.parseMarkdown();
+        // Tables that are only recognized once fixed shift the index of the one being edited
+        const active = this.tables[this.activeTableIndex];
+        if (active) {
+            this.activeTableIndex += Diagnostics.diagnoseMarkdown(markdown)
+                .filter(diagnostic => diagnostic.table === null && diagnostic.line !== null && diagnostic.line < active.startLine)
+                .length;
+        }
+
+        this.replaceDocument(Diagnostics.fixAll(markdown));
+    }
+
+    // Swap in a new version of the whole document as one undoable change
+    replaceDocument(markdown) {
+        this.markdownInput.value = markdown;
         this.clearSelections();
-        this.applyModeSettings();
-        // Drag listeners are already attached in renderTable()
+        this.parseMarkdown();
+        this.recordHistory();
     }
 
-    exportMarkdown() {
-        const markdown = this.tableToMarkdown();
-        navigator.clipboard.writeText(markdown).then(() => {
-            alert('Markdown copied to clipboard!');
-        });
+    captureState() {
+        return {
+            markdown: this.markdownInput.value,
+            activeTableIndex: this.activeTableIndex
+        };
     }
 
-    addRow() {
-        const tbody = this.editableTable.querySelector('tbody');
-        if (!tbody) return;
+    // Called after every change. The snapshot taken after the previous change
+    // becomes the undo step, unless this change continues the same group.
+    recordHistory(group = null) {
+        this.scheduleAutosave();
+
+        const snapshot = this.captureState();
+        if (!this.lastSnapshot || snapshot.markdown === this.lastSnapshot.markdown) {
+            // Nothing to undo, but remember e.g. which table is being edited
+            this.lastSnapshot = snapshot;
+            return;
+        }
 
-        const headerRow = this.editableTable.querySelector('thead tr');
-        if (!headerRow) return;
+        if (!group || group !== this.historyGroup) {
+            this.undoStack.push(this.lastSnapshot);
+            if (this.undoStack.length > this.maxHistory) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.historyGroup = group;
+        this.lastSnapshot = snapshot;
+        this.updateHistoryButtons();
+        this.emit('change', { markdown: snapshot.markdown });
+    }
+
+    endHistoryGroup() {
+        this.historyGroup = null;
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return;
+
+        this.redoStack.push(this.captureState());
+        this.restoreState(this.undoStack.pop());
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+
+        this.undoStack.push(this.captureState());
+        this.restoreState(this.redoStack.pop());
+    }
+
+    restoreState(state) {
+        this.markdownInput.value = state.markdown;
+        this.activeTableIndex = state.activeTableIndex;
+        this.clearSelections();
+        this.parseMarkdown();
+
+        this.lastSnapshot = this.captureState();
+        this.historyGroup = null;
+        this.updateHistoryButtons();
+        this.scheduleAutosave();
+        this.emit('change', { markdown: state.markdown });
+    }
+
+    // Start a fresh history, e.g. after switching to another saved document
+    resetHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyGroup = null;
+        this.lastSnapshot = this.captureState();
+        this.updateHistoryButtons();
+    }
+
+    updateHistoryButtons() {
+        this.root.getElementById('undo').disabled = this.undoStack.length === 0;
+        this.root.getElementById('redo').disabled = this.redoStack.length === 0;
+    }
+
+    createNewTable() {
+        const defaultTable = `| Header 1 | Header 2 | Header 3 |
+| --- | --- | --- |
+| Cell 1 | Cell 2 | Cell 3 |
+| Cell 4 | Cell 5 | Cell 6 |`;
+
+        // Append to an existing document instead of replacing it
+        const end = this.markdownInput.value.replace(/\s+$/, '').length;
+        this.insertTable(defaultTable, end, this.markdownInput.value.length);
+    }
+
+    // Put a markdown table into the document in place of the given range,
+    // keeping it separated from surrounding text, and start editing it
+    insertTable(markdown, start, end = start) {
+        const value = this.markdownInput.value;
+        let before = value.slice(0, start);
+        let after = value.slice(end);
+
+        if (before && !before.endsWith('\n\n')) {
+            before += before.endsWith('\n') ? '\n' : '\n\n';
+        }
+        if (after && !after.startsWith('\n\n')) {
+            after = (after.startsWith('\n') ? '\n' : '\n\n') + after;
+        }
+
+        const table = markdown.replace(/\n$/, '');
+        this.markdownInput.value = before + table + after;
+
+        const startLine = before.split('\n').length - 1;
+        const tables = this.findTables(this.markdownInput.value);
+        const index = tables.findIndex(t => t.startLine === startLine);
+        this.activeTableIndex = Math.max(0, index);
+
+        // Tables after the new one moved down the list; the new one (or the
+        // one it replaced) is compared with itself as inserted
+        const shift = tables.length - this.tables.length;
+        const originals = new Map();
+        this.originalTables.forEach((table, i) => {
+            if (i < this.activeTableIndex) originals.set(i, table);
+            else if (i + shift > this.activeTableIndex) originals.set(i + shift, table);
+        });
+        this.originalTables = originals;
+
+        const caret = before.length + table.length;
+        this.markdownInput.setSelectionRange(caret, caret);
+
+        this.parseMarkdown();
+        this.clearSelections();
+        this.applyModeSettings();
+        this.recordHistory();
+        // Drag listeners are already attached in renderTable()
+    }
+
+    // Spreadsheet pastes (HTML tables or tab-separated text) become markdown tables
+    handlePaste(e) {
+        const clipboard = e.clipboardData;
+        if (!clipboard || this.readOnly) return;
+
+        let table = null;
+        const html = clipboard.getData('text/html');
+        if (html && /<table[\s>]/i.test(html)) {
+            table = this.parseHtmlTable(html);
+        }
+
+        if (!table) {
+            const text = clipboard.getData('text/plain');
+            if (this.looksLikeTsv(text)) {
+                table = { rows: this.parseDelimited(text, '\t'), alignments: [] };
+            }
+        }
+
+        if (!table) return;
+
+        e.preventDefault();
+        const markdown = this.rowsToMarkdown(table.rows, table.alignments);
+        this.insertTable(markdown, this.markdownInput.selectionStart, this.markdownInput.selectionEnd);
+    }
+
+    // Tab-separated text that is not already a markdown table: at least two
+    // rows with the same number of columns, more than one. Rows with only one
+    // filled cell don't count, so tab-indented code doesn't make a table.
+    looksLikeTsv(text) {
+        if (!text || !text.includes('\t')) return false;
+        if (Dialects.findTables(text).length > 0) return false;
+
+        const counts = new Map();
+        this.parseDelimited(text, '\t').forEach(row => {
+            if (row.filter(cell => cell.trim()).length < 2) return;
+            counts.set(row.length, (counts.get(row.length) || 0) + 1);
+        });
+        return [...counts.values()].some(count => count >= 2);
+    }
+
+    // First row is the header; runs of whitespace in a cell become one space,
+    // but line breaks are kept (and written as <br>)
+    rowsToMarkdown(rows, alignments = []) {
+        const clean = rows.map(row => row.map(text => text
+            .replace(/\r\n?/g, '\n')
+            .replace(/[^\S\n]+/g, ' ')
+            .replace(/ ?\n ?/g, '\n')
+            .trim()));
+        const width = Math.max(...clean.map(row => row.length));
+        const normalized = clean.map(row => row.concat(Array(width - row.length).fill('')));
+
+        const table = Table.createTable(normalized[0], normalized.slice(1), alignments);
+        return Table.serializeTable(table, { pretty: this.prettyPrint });
+    }
+
+    // RFC 4180 parser for CSV (or TSV with delimiter '\t'): quoted fields may
+    // contain delimiters, doubled quotes and line breaks
+    parseDelimited(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let i = 0;
+
+        // Ignore a byte order mark left by spreadsheet exports
+        if (text.charCodeAt(0) === 0xFEFF) i = 1;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                    i++;
+                } else {
+                    field += ch;
+                    i++;
+                }
+                continue;
+            }
+
+            if (ch === '"' && field === '') {
+                inQuotes = true;
+                i++;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+                i++;
+            } else if (ch === '\r' || ch === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+                i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+            } else {
+                field += ch;
+                i++;
+            }
+        }
+
+        // Last record without a trailing line break
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.length > 1 || r[0] !== '');
+    }
+
+    // Pick the most frequent candidate delimiter in the first line
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0];
+        const candidates = [',', '\t', ';'];
+        const counts = candidates.map(d => firstLine.split(d).length - 1);
+        const best = counts.indexOf(Math.max(...counts));
+        return counts[best] > 0 ? candidates[best] : ',';
+    }
+
+    // Rows and alignments of the first <table> in an HTML fragment, as copied from
+    // Google Sheets, Excel or LibreOffice
+    parseHtmlTable(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const table = doc.querySelector('table');
+        if (!table) return null;
+
+        const rows = Array.from(table.rows).map(tr => {
+            const cells = [];
+            Array.from(tr.cells).forEach(cell => {
+                cells.push(this.htmlCellText(cell));
+                // Spanned cells leave empty cells behind them
+                for (let i = 1; i < (cell.colSpan || 1); i++) cells.push('');
+            });
+            return cells;
+        }).filter(cells => cells.length > 0);
+
+        if (rows.length === 0) return null;
+
+        const alignments = Array.from(table.rows[0].cells).map(cell => {
+            const align = (cell.style.textAlign || cell.getAttribute('align') || '').toLowerCase();
+            return ['left', 'center', 'right'].includes(align) ? align : 'none';
+        });
+
+        return { rows, alignments };
+    }
+
+    // Text of a pasted HTML cell: whitespace from the page source counts as a
+    // space, and only <br> starts a new line
+    htmlCellText(cell) {
+        const walker = cell.ownerDocument.createTreeWalker(cell, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            walker.currentNode.data = walker.currentNode.data.replace(/\s+/g, ' ');
+        }
+        cell.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+        return cell.textContent;
+    }
+
+    importFile(file) {
+        if (!file) return;
+
+        file.text().then(text => {
+            const delimiter = /\.tsv$/i.test(file.name) ? '\t' : this.detectDelimiter(text);
+            const rows = this.parseDelimited(text, delimiter);
+            if (rows.length === 0) {
+                alert(`No rows found in ${file.name}`);
+                return;
+            }
+
+            const end = this.markdownInput.value.replace(/\s+$/, '').length;
+            this.insertTable(this.rowsToMarkdown(rows), end, this.markdownInput.value.length);
+        }).catch(error => {
+            alert(`Could not import ${file.name}: ${error.message}`);
+        });
+    }
+
+    tableToCsv() {
+        const data = Table.normalizeTable(this.getExportTable());
+        const quote = (text) => /[",\r\n]|^\s|\s$/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+
+        return [data.headers, ...data.rows]
+            .map(row => row.map(quote).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    tableToHtml() {
+        const data = Table.normalizeTable(this.getExportTable());
+        const escape = (text) => text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\r?\n/g, '<br>');
+        const cell = (tag, text, i) => {
+            const alignment = data.alignments[i];
+            const style = alignment && alignment !== 'none' ? ` style="text-align: ${alignment}"` : '';
+            return `      <${tag}${style}>${escape(text)}</${tag}>`;
+        };
+
+        const lines = ['<table>', '  <thead>', '    <tr>'];
+        data.headers.forEach((text, i) => lines.push(cell('th', text, i)));
+        lines.push('    </tr>', '  </thead>', '  <tbody>');
+        data.rows.forEach(row => {
+            lines.push('    <tr>');
+            row.forEach((text, i) => lines.push(cell('td', text, i)));
+            lines.push('    </tr>');
+        });
+        lines.push('  </tbody>', '</table>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Array of objects keyed by header; blank and repeated headers get unique keys
+    tableToJson() {
+        const data = Table.normalizeTable(this.getExportTable());
+        const keys = [];
+        data.headers.forEach((header, i) => {
+            const base = header.trim() || `Column ${i + 1}`;
+            let key = base;
+            for (let n = 2; keys.includes(key); n++) key = `${base} (${n})`;
+            keys.push(key);
+        });
+
+        const objects = data.rows.map(row => {
+            const object = {};
+            keys.forEach((key, i) => { object[key] = row[i]; });
+            return object;
+        });
+
+        return JSON.stringify(objects, null, 2) + '\n';
+    }
+
+    tableToLatex() {
+        const data = Table.normalizeTable(this.getExportTable());
+        const specials = {
+            '\\': '\\textbackslash{}', '&': '\\&', '%': '\\%', '$': '\\$', '#': '\\#',
+            '_': '\\_', '{': '\\{', '}': '\\}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}'
+        };
+        const escape = (text) => text.replace(/[\\&%$#_{}~^]/g, ch => specials[ch]);
+        const columns = data.headers.map((_, i) => ({ center: 'c', right: 'r' }[data.alignments[i]] || 'l'));
+        // Tabular cells hold one line; a stack keeps the breaks of a multi-line cell
+        const cell = (text, i) => /\n/.test(text)
+            ? `\\shortstack[${columns[i]}]{${text.split(/\r?\n/).map(escape).join(' \\\\ ')}}`
+            : escape(text);
+        const line = (row) => '  ' + row.map(cell).join(' & ') + ' \\\\';
+        const spec = columns.join('');
+
+        return [
+            `\\begin{tabular}{${spec}}`,
+            '  \\hline',
+            line(data.headers),
+            '  \\hline',
+            ...data.rows.map(line),
+            '  \\hline',
+            '\\end{tabular}'
+        ].join('\n') + '\n';
+    }
+
+    exportTable() {
+        const format = this.root.getElementById('exportFormat').value;
+        const exporters = {
+            markdown: () => this.exportMarkdown(),
+            csv: () => this.exportCsv(),
+            html: () => this.exportHtml(),
+            json: () => this.exportJson(),
+            latex: () => this.exportLatex()
+        };
+        Dialects.DIALECTS.forEach(({ id }) => {
+            if (id !== 'gfm') exporters[id] = () => this.exportDialect(id);
+        });
+        (exporters[format] || exporters.markdown)();
+    }
+
+    exportMarkdown() {
+        this.copyToClipboard(this.tableToMarkdown(), 'Markdown');
+    }
+
+    exportCsv() {
+        this.copyToClipboard(this.tableToCsv(), 'CSV');
+    }
+
+    exportHtml() {
+        this.copyToClipboard(this.tableToHtml(), 'HTML');
+    }
+
+    exportJson() {
+        this.copyToClipboard(this.tableToJson(), 'JSON');
+    }
+
+    exportLatex() {
+        this.copyToClipboard(this.tableToLatex(), 'LaTeX');
+    }
+
+    exportDialect(dialect) {
+        const text = Dialects.serializeTable(this.getExportTable(), dialect);
+        this.copyToClipboard(text, `${Dialects.dialectLabel(dialect)} table`);
+    }
+
+    copyDocument() {
+        this.copyToClipboard(this.markdownInput.value, 'Document');
+    }
+
+    copyToClipboard(text, label) {
+        // Writing fails without permission or in an unfocused page, and
+        // outside a secure context there is no clipboard API at all
+        if (!navigator.clipboard) {
+            alert(`Could not copy ${label} to the clipboard: it is only available on secure (https) pages`);
+            return;
+        }
+        navigator.clipboard.writeText(text).then(() => {
+            alert(`${label} copied to clipboard!`);
+        }).catch(error => {
+            alert(`Could not copy ${label} to the clipboard: ${error.message}`);
+        });
+    }
+
+    addRow() {
+        if (this.table.headers.length === 0) return;
+
+        this.table = Table.insertRow(this.table);
+        this.renderTable();
+        this.updateMarkdown();
+    }
+
+    addColumn() {
+        const count = this.table.headers.length;
+        if (count === 0) return;
+
+        this.table = Table.insertColumn(this.table, count, `Header ${count + 1}`);
+        this.renderTable();
+        this.updateMarkdown();
+    }
+
+    deleteRow() {
+        if (this.table.rows.length === 0) return;
+
+        const target = this.isDragMode ? null : this.getCommandTarget();
+        if (target) {
+            // Delete the selected rows; the header (row 0) stays
+            const first = Math.max(target.top, 1);
+            if (target.bottom < first) return;
+            this.table = Table.deleteRow(this.table, first - 1, target.bottom - first + 1);
+            this.clearSelections();
+        } else {
+            // Fallback to current behavior (delete last row)
+            this.table = Table.deleteRow(this.table, this.table.rows.length - 1);
+        }
+
+        this.renderTable();
+        this.updateMarkdown();
+    }
+
+    deleteColumn() {
+        const count = this.table.headers.length;
+        if (count <= 1) return; // Keep at least one column
+
+        const target = this.isDragMode ? null : this.getCommandTarget();
+        if (target) {
+            // Delete the selected columns
+            const columns = target.right - target.left + 1;
+            if (target.left >= count || columns >= count) return;
+            this.table = Table.deleteColumn(this.table, target.left, columns);
+            this.shiftColumnState(target.left, -columns);
+            this.clearSelections();
+        } else {
+            // Fallback to current behavior (delete last column)
+            this.table = Table.deleteColumn(this.table, count - 1);
+            this.shiftColumnState(count - 1, -1);
+        }
+
+        this.renderTable();
+        this.updateMarkdown();
+    }
+
+    // Rows and columns the insert, duplicate, move and delete commands act on,
+    // in table coordinates (row 0 is the header): the selected range, row or
+    // column, or else the cell being edited
+    getCommandTarget() {
+        const editing = this.getEditingCell();
+        let target = null;
+
+        if (this.selectedRange) {
+            target = { kind: 'range', ...this.getRangeBounds() };
+        } else if (this.selectedRow !== null) {
+            const col = this.selectionAnchor ? this.selectionAnchor.col : 0;
+            target = { kind: 'row', top: this.selectedRow, bottom: this.selectedRow, left: col, right: col };
+        } else if (this.selectedColumn !== null) {
+            target = { kind: 'column', top: 0, bottom: 0, left: this.selectedColumn, right: this.selectedColumn };
+        }
+
+        if (editing) {
+            // A cell being edited outside the selection (e.g. after Tab) wins
+            const row = this.getRowIndex(editing.parentElement);
+            const col = editing.cellIndex;
+            const inside = target && (target.kind === 'row' ? row === target.top
+                : target.kind === 'column' ? col === target.left
+                : row >= target.top && row <= target.bottom && col >= target.left && col <= target.right);
+            if (!inside) {
+                target = { kind: 'cell', top: row, bottom: row, left: col, right: col };
+            } else if (target.kind === 'row') {
+                target.left = target.right = col;
+            }
+        }
+
+        if (target) target.editing = editing !== null;
+        return target;
+    }
+
+    // Select the rows and columns a command moved its target to, and keep
+    // editing the matching cell if a cell was being edited
+    restoreTarget(target) {
+        if (target.editing) {
+            this.focusCell(this.getCellAt(target.top, target.left));
+        }
+
+        if (target.kind === 'range') {
+            this.revealRow(target.top);
+            this.selectRange({ row: target.top, col: target.left }, { row: target.bottom, col: target.right });
+            return;
+        }
+
+        this.clearSelections();
+        if (target.kind === 'row') {
+            this.selectedRow = target.top;
+        } else if (target.kind === 'column') {
+            this.selectedColumn = target.left;
+        }
+        if (target.kind !== 'cell') {
+            this.selectionAnchor = { row: target.top, col: target.left };
+        }
+        this.applySelectionClasses();
+        this.updateUI();
+    }
+
+    // Keep sort keys and summary aggregates on their columns when `count`
+    // columns are inserted at `index` (or deleted, for a negative count)
+    shiftColumnState(index, count) {
+        this.sortKeys = this.sortKeys
+            .filter(key => count > 0 || key.column < index || key.column >= index - count)
+            .map(key => key.column >= index ? { ...key, column: key.column + count } : key);
+
+        this.getColumnSettings().forEach(([values, empty]) => {
+            while (values.length < index) values.push(empty);
+            if (count > 0) {
+                values.splice(index, 0, ...Array(count).fill(empty));
+            } else {
+                values.splice(index, -count);
+            }
+        });
+    }
+
+    // Per-column settings that travel with their column, each with its value
+    // for a column that has none: [array, empty value]
+    getColumnSettings() {
+        return [
+            [this.summaryAggregates, ''],
+            [this.columnFilters, ''],
+            [this.hiddenColumns, false]
+        ];
+    }
+
+    // Forget the per-column settings, e.g. when another table is edited
+    resetColumnSettings() {
+        this.summaryAggregates = [];
+        this.columnFilters = [];
+        this.hiddenColumns = [];
+    }
+
+    // Insert as many empty rows as are selected, above or below the selection
+    insertRows(position) {
+        const target = this.getCommandTarget();
+        if (!target || this.table.headers.length === 0) return;
+
+        const first = Math.max(target.top, 1);
+        const count = Math.max(target.bottom - first + 1, 1);
+        // Table row of the first new row; rows inserted "above" the header go below it
+        const at = position === 'above' ? first : Math.max(target.bottom, 0) + 1;
+
+        for (let i = 0; i < count; i++) {
+            this.table = Table.insertRow(this.table, at - 1);
+        }
+
+        this.renderTable();
+        this.updateMarkdown();
+        this.restoreTarget({ ...target, top: at, bottom: at + count - 1 });
+    }
+
+    // Insert as many empty columns as are selected, left or right of the selection
+    insertColumns(position) {
+        const target = this.getCommandTarget();
+        if (!target) return;
+
+        const count = target.right - target.left + 1;
+        const at = position === 'left' ? target.left : target.right + 1;
+
+        for (let i = 0; i < count; i++) {
+            this.table = Table.insertColumn(this.table, at + i, `Header ${this.table.headers.length + 1}`);
+        }
+        this.shiftColumnState(at, count);
+
+        this.renderTable();
+        this.updateMarkdown();
+        this.restoreTarget({ ...target, left: at, right: at + count - 1 });
+    }
+
+    // Copy the selected rows to just below them and select the copies
+    duplicateRows() {
+        const target = this.getCommandTarget();
+        if (!target) return;
+
+        const first = Math.max(target.top, 1);
+        const count = target.bottom - first + 1;
+        if (count < 1) return;
+
+        for (let i = 0; i < count; i++) {
+            this.table = Table.duplicateRow(this.table, first - 1 + i, target.bottom + i);
+        }
+
+        this.renderTable();
+        this.updateMarkdown();
+        this.restoreTarget({ ...target, top: target.bottom + 1, bottom: target.bottom + count });
+    }
+
+    // Copy the selected columns to just right of them and select the copies
+    duplicateColumns() {
+        const target = this.getCommandTarget();
+        if (!target) return;
+
+        const count = target.right - target.left + 1;
+        for (let i = 0; i < count; i++) {
+            this.table = Table.duplicateColumn(this.table, target.left + i, target.right + 1 + i);
+        }
+        this.shiftColumnState(target.right + 1, count);
+
+        this.renderTable();
+        this.updateMarkdown();
+        this.restoreTarget({ ...target, left: target.right + 1, right: target.right + count });
+    }
+
+    // Move the selected rows up (-1) or down (1) past their neighbour
+    moveRows(step) {
+        const target = this.getCommandTarget();
+        if (!target) return;
+
+        const first = Math.max(target.top, 1);
+        if (target.bottom < first) return;
+        if (step < 0 ? first === 1 : target.bottom === this.table.rows.length) return;
+
+        // Moving the neighbouring row to the other side moves the whole block
+        if (step < 0) {
+            this.moveRow(first - 2, target.bottom - 1);
+        } else {
+            this.moveRow(target.bottom, first - 1);
+        }
+        this.restoreTarget({ ...target, top: first + step, bottom: target.bottom + step });
+    }
+
+    // Move the selected columns left (-1) or right (1) past their neighbour
+    moveColumns(step) {
+        const target = this.getCommandTarget();
+        if (!target) return;
+
+        if (step < 0 ? target.left === 0 : target.right >= this.table.headers.length - 1) return;
+
+        if (step < 0) {
+            this.moveColumn(target.left - 1, target.right);
+        } else {
+            this.moveColumn(target.right + 1, target.left);
+        }
+        this.restoreTarget({ ...target, left: target.left + step, right: target.right + step });
+    }
+
+    runTableCommand(command) {
+        switch (command) {
+            case 'insert-row-above': this.insertRows('above'); break;
+            case 'insert-row-below': this.insertRows('below'); break;
+            case 'insert-column-left': this.insertColumns('left'); break;
+            case 'insert-column-right': this.insertColumns('right'); break;
+            case 'duplicate-row': this.duplicateRows(); break;
+            case 'duplicate-column': this.duplicateColumns(); break;
+            case 'move-row-up': this.moveRows(-1); break;
+            case 'move-row-down': this.moveRows(1); break;
+            case 'move-column-left': this.moveColumns(-1); break;
+            case 'move-column-right': this.moveColumns(1); break;
+            case 'delete-row': this.deleteRow(); break;
+            case 'delete-column': this.deleteColumn(); break;
+            case 'hide-column': {
+                const target = this.getCommandTarget();
+                if (target) this.hideColumns(target.left, target.right);
+                break;
+            }
+        }
+    }
+
+    // Keyboard shortcut for a table command: Ctrl+Alt+arrow inserts, Alt+arrow
+    // moves and Alt+Shift+Down/Right duplicates
+    getShortcutCommand(e) {
+        const arrows = {
+            ArrowUp: ['insert-row-above', 'move-row-up', null],
+            ArrowDown: ['insert-row-below', 'move-row-down', 'duplicate-row'],
+            ArrowLeft: ['insert-column-left', 'move-column-left', null],
+            ArrowRight: ['insert-column-right', 'move-column-right', 'duplicate-column']
+        };
+        if (!e.altKey || !arrows[e.key]) return null;
+
+        const [insert, move, duplicate] = arrows[e.key];
+        if (e.ctrlKey || e.metaKey) return e.shiftKey ? null : insert;
+        return e.shiftKey ? duplicate : move;
+    }
+
+    // Right-click menu and keyboard shortcuts for the row and column commands
+    initTableCommands() {
+        this.contextMenu = this.root.getElementById('cellMenu');
+
+        this.editableTable.addEventListener('keydown', (e) => {
+            if (this.isDragMode || this.readOnly) return;
+
+            const command = this.getShortcutCommand(e);
+            if (!command || !this.getCommandTarget()) return;
+
+            e.preventDefault();
+            this.hideContextMenu();
+            this.runTableCommand(command);
+        });
+
+        this.editableTable.addEventListener('contextmenu', (e) => {
+            if (this.isDragMode || this.readOnly) return;
+
+            const cell = e.target.closest('td, th');
+            if (!cell || this.getRowIndex(cell.parentElement) === -1) return;
+
+            e.preventDefault();
+            this.selectForMenu(cell);
+            this.showContextMenu(e.clientX, e.clientY);
+        });
+
+        this.contextMenu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-command]');
+            if (!item || item.disabled) return;
+
+            this.hideContextMenu();
+            this.runTableCommand(item.dataset.command);
+        });
+
+        // Close the menu on outside clicks, Escape, scrolling and resizing
+        document.addEventListener('mousedown', (e) => {
+            if (!e.composedPath().includes(this.contextMenu)) this.hideContextMenu();
+        }, { signal: this.listeners.signal });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.contextMenu.hidden) {
+                e.preventDefault();
+                this.hideContextMenu();
+            }
+        }, { signal: this.listeners.signal });
+        window.addEventListener('resize', () => this.hideContextMenu(), { signal: this.listeners.signal });
+        this.tableContainer.addEventListener('scroll', () => this.hideContextMenu());
+    }
+
+    // Right-clicking outside the selection selects the clicked row (or, on a
+    // header, the column), as a left click would
+    selectForMenu(cell) {
+        const row = this.getRowIndex(cell.parentElement);
+        const col = cell.cellIndex;
+
+        if (this.selectedRange) {
+            const { top, bottom, left, right } = this.getRangeBounds();
+            if (row >= top && row <= bottom && col >= left && col <= right) return;
+        } else if (row > 0 && this.selectedRow === row) {
+            return;
+        } else if (row === 0 && this.selectedColumn === col) {
+            return;
+        }
+
+        this.clearSelections();
+        if (row === 0) {
+            this.selectedColumn = col;
+        } else {
+            this.selectedRow = row;
+        }
+        this.selectionAnchor = { row, col };
+        this.applySelectionClasses();
+        this.updateUI();
+    }
+
+    showContextMenu(x, y) {
+        const target = this.getCommandTarget();
+        if (!target) return;
+
+        // Disable the commands that can't apply to this selection
+        const first = Math.max(target.top, 1);
+        const hasRows = target.bottom >= first;
+        const columns = target.right - target.left + 1;
+        const disabled = {
+            'duplicate-row': !hasRows,
+            'move-row-up': !hasRows || first === 1,
+            'move-row-down': !hasRows || target.bottom === this.table.rows.length,
+            'move-column-left': target.left === 0,
+            'move-column-right': target.right >= this.table.headers.length - 1,
+            'delete-row': !hasRows,
+            'delete-column': columns >= this.table.headers.length,
+            'hide-column': this.getShownColumns().every(col => col >= target.left && col <= target.right)
+        };
+        this.contextMenu.querySelectorAll('[data-command]').forEach(item => {
+            item.disabled = Boolean(disabled[item.dataset.command]);
+        });
+
+        // Keep the menu inside the window
+        this.contextMenu.hidden = false;
+        const { width, height } = this.contextMenu.getBoundingClientRect();
+        this.contextMenu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - width))}px`;
+        this.contextMenu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - height))}px`;
+    }
+
+    hideContextMenu() {
+        if (this.contextMenu) this.contextMenu.hidden = true;
+    }
+
+    // Columns the transforms act on: the selected column, or the columns of
+    // the selected range (shift-click headers to select several)
+    getSelectedColumns() {
+        if (this.selectedRange) {
+            const { left, right } = this.getRangeBounds();
+            return { left, right };
+        }
+        if (this.selectedColumn !== null) {
+            return { left: this.selectedColumn, right: this.selectedColumn };
+        }
+        return null;
+    }
+
+    transposeTable() {
+        if (this.table.headers.length === 0) return;
+
+        this.table = Table.transposeTable(this.table);
+        this.sortKeys = [];
+        this.resetColumnSettings();
+        this.clearSelections();
+        this.renderTable();
+        this.updateMarkdown();
+    }
+
+    splitColumn() {
+        const columns = this.getSelectedColumns();
+        if (!columns || columns.left !== columns.right) {
+            alert('Select the column to split by clicking its header');
+            return;
+        }
+
+        const input = prompt('Split on this text, or on a /regex/ (capture groups become the columns):', ',');
+        if (!input) return;
+
+        let separator = input;
+        const regex = input.match(/^\/(.+)\/([a-z]*)$/);
+        if (regex) {
+            try {
+                separator = new RegExp(regex[1], regex[2]);
+            } catch (error) {
+                alert(`Invalid regex: ${error.message}`);
+                return;
+            }
+        }
+
+        // Default to one column per capture group
+        const groups = separator instanceof RegExp ? new RegExp(`${separator.source}|`).exec('').length - 1 : 0;
+        const count = Number.parseInt(prompt('Number of columns:', Math.max(groups, 2)), 10);
+        if (!(count >= 2)) return;
+
+        const col = columns.left;
+        this.table = Table.splitColumn(this.table, col, separator, count);
+        this.shiftColumnState(col + 1, count - 1);
+        this.selectRange({ row: 0, col }, { row: 0, col: col + count - 1 });
+        this.renderTable();
+        this.updateMarkdown();
+    }
+
+    mergeColumns() {
+        const columns = this.getSelectedColumns();
+        if (!columns || columns.left === columns.right) {
+            alert('Select two or more columns to merge: click a header, then shift-click another');
+            return;
+        }
+
+        const separator = prompt('Join the cells with:', ' ');
+        if (separator === null) return;
+
+        const { left, right } = columns;
+        const merged = Array.from({ length: right - left + 1 }, (_, i) => left + i);
+        this.table = Table.mergeColumns(this.table, merged, separator);
+        this.shiftColumnState(left + 1, -(right - left));
+        this.clearSelections();
+        this.selectedColumn = left;
+        this.renderTable();
+        this.updateMarkdown();
+        this.updateUI();
+    }
+
+    // Fill empty cells with the value above them, in the selected columns
+    // (only the selected rows when a range covers body rows)
+    fillDown() {
+        const columns = this.getSelectedColumns();
+        if (!columns) {
+            alert('Select the columns to fill by clicking a header, or select a block of cells');
+            return;
+        }
+
+        let start = 0;
+        let end = this.table.rows.length - 1;
+        if (this.selectedRange) {
+            const { top, bottom } = this.getRangeBounds();
+            if (bottom > 0) {
+                start = Math.max(top, 1) - 1;
+                end = bottom - 1;
+            }
+        }
+
+        const { left, right } = columns;
+        const filled = Array.from({ length: right - left + 1 }, (_, i) => left + i);
+        this.table = Table.fillDown(this.table, filled, start, end);
+        this.renderTable();
+        this.updateMarkdown();
+    }
+
+    clearTable() {
+        this.table = Table.createTable();
+        this.editableTable.innerHTML = '<thead></thead><tbody></tbody>';
+        this.renderedRange = null;
+        this.tableContainer.classList.remove('virtualized');
+        this.renderDiff();
+    }
+
+    applyModeSettings() {
+        const allCells = this.editableTable.querySelectorAll('tr[data-row] > td, th');
+        allCells.forEach(cell => {
+            if (this.isDragMode) {
+                cell.setAttribute('contenteditable', 'false');
+                cell.style.cursor = 'default';
+                cell.style.userSelect = 'none';
+            } else if (this.readOnly) {
+                cell.setAttribute('contenteditable', 'false');
+                cell.style.cursor = 'default';
+                cell.style.userSelect = 'text';
+            } else {
+                cell.setAttribute('contenteditable', this.editableValue);
+                cell.style.cursor = 'text';
+                cell.style.userSelect = 'text';
+            }
+        });
+
+        // Headers drag columns; a handle in each body row drags the row
+        this.editableTable.querySelectorAll('thead th').forEach(th => {
+            if (this.isDragMode) {
+                th.setAttribute('draggable', 'true');
+                th.style.cursor = 'move';
+            } else {
+                th.removeAttribute('draggable');
+            }
+        });
+        this.updateRowHandles();
+    }
+
+    // Row handles live in the first cell, so re-place them after column moves
+    updateRowHandles() {
+        this.editableTable.querySelectorAll('.row-handle').forEach(handle => handle.remove());
+        if (!this.isDragMode) return;
+
+        this.editableTable.querySelectorAll('tbody tr[data-row]').forEach(tr => {
+            if (!tr.cells[0]) return;
+
+            const handle = document.createElement('span');
+            handle.className = 'cell-control row-handle';
+            handle.setAttribute('draggable', 'true');
+            handle.title = 'Drag to move this row';
+            handle.textContent = '⋮⋮';
+            tr.cells[0].prepend(handle);
+        });
+    }
+
+    initDragAndDrop() {
+        // Initialize drag state
+        this.draggedSrcColIndex = null;
+        this.draggedSrcRowIndex = null;
+        this.swapInProgress = false;
+
+        // Don't attach listeners here - they'll be attached after table rendering
+    }
+
+    // Attach drag listeners to headers and body rows after they're created
+    attachDragListeners() {
+        const headers = this.editableTable.querySelectorAll('th');
+
+        headers.forEach((th) => {
+            // If this header had listeners before, remove them using stored refs
+            const existing = this.headerDragHandlers.get(th);
+            if (existing) {
+                th.removeEventListener('dragstart', existing.onDragStart);
+                th.removeEventListener('dragend', existing.onDragEnd);
+                th.removeEventListener('dragover', existing.onDragOver);
+                th.removeEventListener('drop', existing.onDrop);
+            }
+
+            // Compute index dynamically at event time to be robust to structure changes
+            const getIndex = () => Array.from(th.parentElement.children).indexOf(th);
+
+            const onDragStart = (e) => this.handleDragStart(e, getIndex());
+            const onDragEnd = (e) => this.handleDragEnd(e);
+            const onDragOver = (e) => this.handleDragOver(e);
+            const onDrop = (e) => this.handleDrop(e, getIndex());
+
+            th.addEventListener('dragstart', onDragStart);
+            th.addEventListener('dragend', onDragEnd);
+            th.addEventListener('dragover', onDragOver);
+            th.addEventListener('drop', onDrop);
+
+            this.headerDragHandlers.set(th, { onDragStart, onDragEnd, onDragOver, onDrop });
+        });
+
+        const rows = this.editableTable.querySelectorAll('tbody tr[data-row]');
+        rows.forEach((tr) => {
+            const existing = this.rowDragHandlers.get(tr);
+            if (existing) {
+                tr.removeEventListener('dragstart', existing.onDragStart);
+                tr.removeEventListener('dragend', existing.onDragEnd);
+                tr.removeEventListener('dragover', existing.onDragOver);
+                tr.removeEventListener('drop', existing.onDrop);
+            }
+
+            // Body row index, read at event time since rows are reused
+            const getIndex = () => this.getRowIndex(tr) - 1;
+
+            const onDragStart = (e) => this.handleRowDragStart(e, getIndex());
+            const onDragEnd = (e) => this.handleDragEnd(e);
+            const onDragOver = (e) => this.handleRowDragOver(e);
+            const onDrop = (e) => this.handleRowDrop(e, getIndex());
+
+            tr.addEventListener('dragstart', onDragStart);
+            tr.addEventListener('dragend', onDragEnd);
+            tr.addEventListener('dragover', onDragOver);
+            tr.addEventListener('drop', onDrop);
+
+            this.rowDragHandlers.set(tr, { onDragStart, onDragEnd, onDragOver, onDrop });
+        });
+    }
+
+    // Remove existing drag listeners to prevent duplicates
+    removeDragListeners() {
+        const headers = this.editableTable.querySelectorAll('th');
+        headers.forEach((th) => {
+            const existing = this.headerDragHandlers.get(th);
+            if (existing) {
+                th.removeEventListener('dragstart', existing.onDragStart);
+                th.removeEventListener('dragend', existing.onDragEnd);
+                th.removeEventListener('dragover', existing.onDragOver);
+                th.removeEventListener('drop', existing.onDrop);
+                this.headerDragHandlers.delete(th);
+            }
+        });
+
+        const rows = this.editableTable.querySelectorAll('tbody tr[data-row]');
+        rows.forEach((tr) => {
+            const existing = this.rowDragHandlers.get(tr);
+            if (existing) {
+                tr.removeEventListener('dragstart', existing.onDragStart);
+                tr.removeEventListener('dragend', existing.onDragEnd);
+                tr.removeEventListener('dragover', existing.onDragOver);
+                tr.removeEventListener('drop', existing.onDrop);
+                this.rowDragHandlers.delete(tr);
+            }
+        });
+    }
+
+    // Drag event handlers
+    handleDragStart(e, index) {
+        if (!this.isDragMode) {
+            e.preventDefault();
+            return;
+        }
+
+        // Check if the element is actually draggable
+        if (e.target.getAttribute('draggable') !== 'true') {
+            e.preventDefault();
+            return;
+        }
+
+        this.draggedSrcColIndex = index;
+
+        // Set drag data
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', this.getCellSource(e.target));
+
+        // Visual feedback
+        e.target.style.opacity = '0.4';
+        e.target.style.transform = 'scale(0.95)';
+    }
+
+    handleRowDragStart(e, index) {
+        // Rows are only dragged by their handle
+        if (!this.isDragMode || !e.target.classList || !e.target.classList.contains('row-handle')) {
+            return;
+        }
+
+        const tr = e.currentTarget;
+        this.draggedSrcRowIndex = index;
+
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', '');
+        if (e.dataTransfer.setDragImage) {
+            e.dataTransfer.setDragImage(tr, 0, 0);
+        }
+
+        tr.classList.add('dragging');
+    }
+
+    handleDragEnd(e) {
+        // Reset visual state
+        e.target.style.opacity = '';
+        e.target.style.transform = '';
+        this.editableTable.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        this.clearDropIndicator();
+        this.draggedSrcColIndex = null;
+        this.draggedSrcRowIndex = null;
+    }
+
+    handleDragOver(e) {
+        if (!this.isDragMode || this.draggedSrcColIndex === null) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        // Show where the column will be inserted
+        const th = e.currentTarget;
+        const colIndex = Array.from(th.parentElement.children).indexOf(th);
+        const position = this.getDropPosition(e, th, 'x');
+        this.showDropIndicator(this.getRenderedRows().map(row => row.cells[colIndex]), position);
+    }
+
+    handleRowDragOver(e) {
+        if (!this.isDragMode || this.draggedSrcRowIndex === null) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        const tr = e.currentTarget;
+        const position = this.getDropPosition(e, tr, 'y');
+        this.showDropIndicator(Array.from(tr.cells), position === 'before' ? 'above' : 'below');
+    }
+
+    // Which half of the element the pointer is over: 'before' or 'after'
+    getDropPosition(e, element, axis) {
+        const rect = element.getBoundingClientRect();
+        if (axis === 'x') {
+            return e.clientX < rect.left + rect.width / 2 ? 'before' : 'after';
+        }
+        return e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    }
+
+    showDropIndicator(cells, position) {
+        this.clearDropIndicator();
+        cells.forEach(cell => {
+            if (cell) cell.classList.add(`drop-${position}`);
+        });
+    }
+
+    clearDropIndicator() {
+        const marked = this.editableTable.querySelectorAll('.drop-before, .drop-after, .drop-above, .drop-below');
+        marked.forEach(cell => cell.classList.remove('drop-before', 'drop-after', 'drop-above', 'drop-below'));
+    }
+
+    handleDrop(e, targetIndex) {
+        if (!this.isDragMode) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        // Guard against duplicate drop events during a single drag
+        if (this.swapInProgress) {
+            return;
+        }
+
+        if (this.draggedSrcColIndex === null || this.draggedSrcColIndex === undefined) {
+            return;
+        }
+
+        const sourceIndex = this.draggedSrcColIndex;
+
+        // Insert next to the target rather than swapping with it
+        const insertAt = this.getDropPosition(e, e.currentTarget, 'x') === 'before' ? targetIndex : targetIndex + 1;
+        const destIndex = insertAt > sourceIndex ? insertAt - 1 : insertAt;
+
+        this.swapInProgress = true;
+        try {
+            if (destIndex !== sourceIndex) {
+                this.moveColumn(sourceIndex, destIndex);
+            }
+        } catch (error) {
+            console.error('Error during column move:', error);
+        } finally {
+            // Reset drag state to avoid handling duplicate drops
+            this.clearDropIndicator();
+            this.draggedSrcColIndex = null;
+            this.swapInProgress = false;
+        }
+    }
+
+    handleRowDrop(e, targetIndex) {
+        if (!this.isDragMode || this.draggedSrcRowIndex === null) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const sourceIndex = this.draggedSrcRowIndex;
+        const insertAt = this.getDropPosition(e, e.currentTarget, 'y') === 'before' ? targetIndex : targetIndex + 1;
+        const destIndex = insertAt > sourceIndex ? insertAt - 1 : insertAt;
+
+        try {
+            if (destIndex !== sourceIndex) {
+                this.moveRow(sourceIndex, destIndex);
+            }
+        } catch (error) {
+            console.error('Error during row move:', error);
+        } finally {
+            this.clearDropIndicator();
+            this.draggedSrcRowIndex = null;
+        }
+    }
+
+    // Move a column so it ends up at index `to`, shifting the columns in between
+    moveColumn(from, to) {
+        this.table = Table.moveColumn(this.table, from, to);
+
+        // Sort keys and column settings travel with their column
+        this.sortKeys.forEach(key => {
+            if (key.column === from) {
+                key.column = to;
+            } else if (from < key.column && key.column <= to) {
+                key.column--;
+            } else if (to <= key.column && key.column < from) {
+                key.column++;
+            }
+        });
+        this.getColumnSettings().forEach(([values, empty]) => {
+            const [value = empty] = values.splice(from, 1);
+            while (values.length < to) values.push(empty);
+            values.splice(to, 0, value);
+        });
+
+        this.clearSelections();
+        this.renderTable();
+        this.updateMarkdown();
+        this.emit('reorder', { axis: 'column', from, to });
+    }
+
+    // Move a body row so it ends up at index `to`
+    moveRow(from, to) {
+        if (!this.table.rows[from]) return;
+
+        this.table = Table.moveRow(this.table, from, to);
+        this.clearSelections();
+        this.renderTable();
+        this.updateMarkdown();
+        this.emit('reorder', { axis: 'row', from, to });
+    }
+
+    initKeyboardNavigation() {
+        this.editableTable.addEventListener('keydown', (e) => {
+            if (this.isDragMode || e.ctrlKey || e.metaKey) return;
+
+            const cell = e.target;
+            if (cell.tagName !== 'TD' && cell.tagName !== 'TH') return;
+
+            if (e.altKey) {
+                // Alt+Enter starts a new line inside the cell, saved as <br>
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.insertCellText(cell, '\n');
+                }
+                return;
+            }
+
+            const rowIndex = this.getRowIndex(cell.parentElement);
+            const colIndex = cell.cellIndex;
+
+            switch (e.key) {
+                case 'Tab':
+                    if (this.moveFocusHorizontally(rowIndex, colIndex, e.shiftKey ? -1 : 1)) {
+                        e.preventDefault();
+                    }
+                    break;
+                case 'Enter':
+                    // Enter moves on; line breaks take Alt+Enter
+                    e.preventDefault();
+                    this.focusCell(this.getCellAt(this.getAdjacentRow(rowIndex, e.shiftKey ? -1 : 1), colIndex));
+                    break;
+                case 'Escape':
+                    e.preventDefault();
+                    cell.blur();
+                    this.getDomSelection().removeAllRanges();
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowRight':
+                case 'ArrowUp':
+                case 'ArrowDown':
+                    if (!e.shiftKey && this.isCaretAtEdge(cell, e.key)) {
+                        const target = this.getArrowTarget(rowIndex, colIndex, e.key);
+                        if (target) {
+                            e.preventDefault();
+                            this.focusCell(target, e.key === 'ArrowRight' ? 'start' : 'end');
+                        }
+                    }
+                    break;
+            }
+        });
+    }
+
+    // Cell at a table row (0 is the header) and column, clamped to short rows.
+    // Long tables are scrolled to rows that are not rendered.
+    getCellAt(rowIndex, colIndex) {
+        const row = this.revealRow(rowIndex);
+        if (!row || row.cells.length === 0) return null;
+        return row.cells[Math.min(colIndex, row.cells.length - 1)];
+    }
+
+    // Tab order runs along each row and wraps to the next one, skipping
+    // hidden rows and columns. Tabbing out of the last cell adds a new row
+    // (unless a filter is set, which could hide it). Returns false when focus
+    // should leave the table.
+    moveFocusHorizontally(rowIndex, colIndex, step) {
+        const row = this.getRowElement(rowIndex);
+        const column = this.getShownColumn(colIndex, step, row.cells.length);
+        let target = null;
+
+        if (column !== -1) {
+            target = row.cells[column];
+        } else if (step > 0) {
+            let next = this.getAdjacentRow(rowIndex, 1);
+            if (next === -1 && !this.visibleRows) {
+                this.addRow();
+                next = rowIndex + 1;
+            }
+            target = this.getCellAt(next, this.getShownColumn(-1, 1, this.table.headers.length));
+        } else {
+            const previous = this.revealRow(this.getAdjacentRow(rowIndex, -1));
+            if (previous) {
+                target = previous.cells[this.getShownColumn(previous.cells.length, -1, previous.cells.length)] || null;
+            }
+        }
+
+        if (!target) return false;
+        this.focusCell(target);
+        return true;
+    }
+
+    getArrowTarget(rowIndex, colIndex, key) {
+        switch (key) {
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const row = this.getRowElement(rowIndex);
+                const column = this.getShownColumn(colIndex, key === 'ArrowLeft' ? -1 : 1, row.cells.length);
+                return column === -1 ? null : row.cells[column];
+            }
+            case 'ArrowUp': return this.getCellAt(this.getAdjacentRow(rowIndex, -1), colIndex);
+            case 'ArrowDown': return this.getCellAt(this.getAdjacentRow(rowIndex, 1), colIndex);
+            default: return null;
+        }
+    }
+
+    // Whether an arrow key would leave the cell's text: left/up at the start
+    // (or first line), right/down at the end (or last line)
+    isCaretAtEdge(cell, key) {
+        const selection = this.getDomSelection();
+        if (!selection.rangeCount || !selection.isCollapsed) return false;
+
+        const range = selection.getRangeAt(0);
+        const before = document.createRange();
+        before.selectNodeContents(cell);
+        before.setEnd(range.endContainer, range.endOffset);
+
+        const text = this.getCellText(cell);
+        const offset = Math.min(before.toString().length, text.length);
+
+        switch (key) {
+            case 'ArrowLeft': return offset === 0;
+            case 'ArrowRight': return offset === text.length;
+            case 'ArrowUp': return !text.slice(0, offset).includes('\n');
+            case 'ArrowDown': return !text.slice(offset).includes('\n');
+            default: return false;
+        }
+    }
+
+    // Focus a cell and put the caret at the start or end of its text
+    focusCell(cell, position = 'end') {
+        if (!cell) return;
+        cell.focus();
+
+        const textNodes = this.getTextNodes(cell);
+        const range = document.createRange();
+        if (textNodes.length === 0) {
+            range.setStart(cell, 0);
+        } else if (position === 'start') {
+            range.setStart(textNodes[0], 0);
+        } else {
+            const last = textNodes[textNodes.length - 1];
+            range.setStart(last, last.length);
+        }
+        range.collapse(true);
+
+        const selection = this.getDomSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    // Text nodes of a cell, leaving out embedded controls
+    getTextNodes(cell) {
+        const textNodes = [];
+        const walker = document.createTreeWalker(cell, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            if (!walker.currentNode.parentElement.closest('.cell-control')) {
+                textNodes.push(walker.currentNode);
+            }
+        }
+        return textNodes;
+    }
+
+    // DOM range covering [start, end) of a cell's text
+    createTextRange(cell, start, end) {
+        const range = document.createRange();
+        let offset = 0;
+        let startSet = false;
+
+        for (const node of this.getTextNodes(cell)) {
+            const nodeEnd = offset + node.length;
+            if (!startSet && start <= nodeEnd) {
+                range.setStart(node, start - offset);
+                startSet = true;
+            }
+            if (startSet && end <= nodeEnd) {
+                range.setEnd(node, end - offset);
+                return range;
+            }
+            offset = nodeEnd;
+        }
+
+        return null;
+    }
+
+    initFindReplace() {
+        this.findPanel = this.root.getElementById('findPanel');
+        this.findInput = this.root.getElementById('findInput');
+        this.replaceInput = this.root.getElementById('replaceInput');
+        this.findMatches = [];
+        this.findIndex = -1;
+
+        this.root.getElementById('toggleFind').addEventListener('click', () => this.toggleFindPanel());
+        this.root.getElementById('findNext').addEventListener('click', () => this.stepFind(1));
+        this.root.getElementById('findPrev').addEventListener('click', () => this.stepFind(-1));
+        this.root.getElementById('replaceOne').addEventListener('click', () => this.replaceCurrent());
+        this.root.getElementById('replaceAll').addEventListener('click', () => this.replaceAll());
+
+        this.findInput.addEventListener('input', () => this.runFind());
+        ['findCase', 'findWord', 'findRegex', 'findColumn'].forEach(id => {
+            this.root.getElementById(id).addEventListener('change', () => this.runFind());
+        });
+
+        this.findPanel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.toggleFindPanel(false);
+            } else if (e.key === 'Enter' && e.target === this.findInput) {
+                e.preventDefault();
+                this.stepFind(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Enter' && e.target === this.replaceInput) {
+                e.preventDefault();
+                this.replaceCurrent();
+            }
+        });
+    }
+
+    toggleFindPanel(open = this.findPanel.hidden) {
+        this.findPanel.hidden = !open;
+        if (open) {
+            this.findInput.focus();
+            this.findInput.select();
+            this.runFind();
+        } else {
+            this.findMatches = [];
+            this.findIndex = -1;
+            this.showFindHighlights();
+        }
+    }
+
+    // Regex for the current query and options, or a string describing why there is none
+    buildFindRegex() {
+        const query = this.findInput.value;
+        if (!query) return null;
+
+        const isRegex = this.root.getElementById('findRegex').checked;
+        const pattern = isRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const word = this.root.getElementById('findWord').checked;
+        const caseFlag = this.root.getElementById('findCase').checked ? '' : 'i';
+
+        // Unicode mode knows letters beyond ASCII, but rejects escapes such as
+        // \- or \_ that patterns often use, so those are compiled without it
+        const compile = (unicode) => {
+            let source = pattern;
+            if (word) {
+                source = unicode
+                    ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`
+                    : `(?<!\\w)(?:${source})(?!\\w)`;
+            }
+            return new RegExp(source, (unicode ? 'gu' : 'g') + caseFlag);
+        };
+
+        try {
+            return compile(true);
+        } catch {
+            try {
+                return compile(false);
+            } catch (error) {
+                return `Invalid regex: ${error.message}`;
+            }
+        }
+    }
+
+    // Columns to search: all, or just the selected one when scoped
+    getFindColumns() {
+        if (!this.root.getElementById('findColumn').checked) return null;
+        return this.selectedColumn;
+    }
+
+    // Collect matches in reading order, keeping the current one when possible
+    runFind(keepPosition = false) {
+        if (this.findPanel.hidden) return;
+
+        const status = this.root.getElementById('findStatus');
+        const previous = this.findMatches[this.findIndex];
+        const regex = this.buildFindRegex();
+        this.findMatches = [];
+
+        if (typeof regex === 'string') {
+            status.textContent = regex;
+        } else if (regex && this.getFindColumns() === null && this.root.getElementById('findColumn').checked) {
+            status.textContent = 'Select a column first';
+        } else if (regex) {
+            const scope = this.getFindColumns();
+            [this.table.headers, ...this.table.rows].forEach((cells, row) => {
+                cells.forEach((text, col) => {
+                    if ((scope !== null && col !== scope) || !this.isCellShown(row, col)) return;
+
+                    regex.lastIndex = 0;
+                    let match;
+                    while ((match = regex.exec(text)) !== null) {
+                        if (match[0] === '') {
+                            regex.lastIndex++;
+                            continue;
+                        }
+                        this.findMatches.push({ row, col, start: match.index, end: match.index + match[0].length, match });
+                    }
+                });
+            });
+        }
+
+        if (this.findMatches.length === 0) {
+            this.findIndex = -1;
+        } else if (keepPosition && previous) {
+            // Stay at (or move to the first match after) the previous position
+            const at = this.findMatches.findIndex(m => m.row > previous.row
+                || (m.row === previous.row && (m.col > previous.col || (m.col === previous.col && m.start >= previous.start))));
+            this.findIndex = at === -1 ? 0 : at;
+        } else {
+            this.findIndex = 0;
+        }
+
+        this.showFindHighlights();
+    }
+
+    stepFind(step) {
+        if (this.findMatches.length === 0) return;
+        this.findIndex = (this.findIndex + step + this.findMatches.length) % this.findMatches.length;
+        this.showFindHighlights();
+    }
+
+    // Mark matching cells, and the exact matched text where the browser
+    // supports the CSS Custom Highlight API
+    showFindHighlights() {
+        // Bring the current match into view first; long tables only render some rows
+        const current = this.findMatches[this.findIndex];
+        if (current) this.revealRow(current.row);
+
+        this.applyFindHighlights();
+
+        if (current) {
+            const tr = this.getRowElement(current.row);
+            const cell = tr && tr.cells[current.col];
+            if (cell && cell.scrollIntoView) cell.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+
+        const status = this.root.getElementById('findStatus');
+        if (this.findInput.value && this.findMatches.length === 0 && !status.textContent.startsWith('Invalid')
+            && status.textContent !== 'Select a column first') {
+            status.textContent = 'No matches';
+        } else if (this.findMatches.length > 0) {
+            status.textContent = `${this.findIndex + 1} of ${this.findMatches.length}`;
+        } else if (!this.findInput.value) {
+            status.textContent = '';
+        }
+    }
+
+    // Highlight the matches in the rendered cells
+    applyFindHighlights() {
+        this.editableTable.querySelectorAll('.find-match, .find-current').forEach(cell => {
+            cell.classList.remove('find-match', 'find-current');
+        });
+
+        const ranges = [];
+        let currentRange = null;
+        this.findMatches.forEach((m, i) => {
+            const tr = this.getRowElement(m.row);
+            const cell = tr && tr.cells[m.col];
+            if (!cell) return;
+            cell.classList.add(i === this.findIndex ? 'find-current' : 'find-match');
+
+            // Match offsets are in the markdown source, not the formatted text
+            if (cell.classList.contains('formatted')) return;
+            const range = this.createTextRange(cell, m.start, m.end);
+            if (!range) return;
+            if (i === this.findIndex) {
+                currentRange = range;
+            } else {
+                ranges.push(range);
+            }
+        });
+
+        findRanges.set(this, { matches: ranges, current: currentRange ? [currentRange] : [] });
+        updateFindHighlights();
+    }
+
+    // Replacement text for one match; regex mode expands $1, $<name>, $& and $$
+    expandReplacement(match) {
+        const template = this.replaceInput.value;
+        if (!this.root.getElementById('findRegex').checked) return template;
+
+        return template.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+            if (ref === '$') return '$';
+            if (ref === '&') return match[0];
+            if (name !== undefined) return (match.groups && match.groups[name]) || '';
+            const index = Number(ref);
+            return index > 0 && index < match.length ? (match[index] || '') : token;
+        });
+    }
+
+    replaceCurrent() {
+        const current = this.findMatches[this.findIndex];
+        if (!current) return;
+
+        const text = Table.getCell(this.table, current.row, current.col);
+        const replacement = this.expandReplacement(current.match);
+        this.table = Table.setCell(this.table, current.row, current.col,
+            text.slice(0, current.start) + replacement + text.slice(current.end));
+
+        // Continue after the inserted text
+        this.findMatches[this.findIndex] = { ...current, start: current.start + replacement.length };
+        this.renderTable();
+        this.updateMarkdown();
+        this.runFind(true);
+    }
+
+    // Every match replaced in one step, so a single undo restores them all
+    replaceAll() {
+        if (this.findMatches.length === 0) return;
+
+        const count = this.findMatches.length;
+        const byCell = new Map();
+        this.findMatches.forEach(m => {
+            const key = `${m.row}:${m.col}`;
+            if (!byCell.has(key)) byCell.set(key, []);
+            byCell.get(key).push(m);
+        });
+
+        byCell.forEach(matches => {
+            const { row, col } = matches[0];
+            const text = Table.getCell(this.table, row, col);
+
+            let result = '';
+            let last = 0;
+            matches.forEach(m => {
+                result += text.slice(last, m.start) + this.expandReplacement(m.match);
+                last = m.end;
+            });
+            this.table = Table.setCell(this.table, row, col, result + text.slice(last));
+        });
+
+        this.renderTable();
+        this.updateMarkdown();
+        this.runFind();
+        this.root.getElementById('findStatus').textContent = `Replaced ${count} match${count === 1 ? '' : 'es'}`;
+    }
+
+    initLibrary() {
+        this.storageKey = 'markdown-table-editor.library' + (this.libraryName ? `.${this.libraryName}` : '');
+        this.autosaveTimer = null;
+        this.libraryList = this.root.getElementById('libraryList');
+        this.library = this.loadLibrary();
+
+        this.root.getElementById('libraryNew').addEventListener('click', () => this.newLibraryItem());
+        this.root.getElementById('libraryDuplicate').addEventListener('click', () => this.duplicateLibraryItem());
+        this.root.getElementById('libraryRename').addEventListener('click', () => this.renameLibraryItem());
+        this.root.getElementById('libraryDelete').addEventListener('click', () => this.deleteLibraryItem());
+        this.root.getElementById('libraryExport').addEventListener('click', () => this.exportLibrary());
+
+        const importInput = this.root.getElementById('libraryImportInput');
+        this.root.getElementById('libraryImport').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            this.importLibrary(importInput.files[0]);
+            importInput.value = '';
+        });
+
+        this.libraryList.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-id]');
+            if (item) this.switchLibraryItem(item.dataset.id);
+        });
+
+        // Don't lose the last keystrokes when the tab closes
+        window.addEventListener('pagehide', () => this.autosave(), { signal: this.listeners.signal });
+
+        const active = this.getActiveLibraryItem();
+        this.markdownInput.value = active.markdown;
+        this.activeTableIndex = active.activeTableIndex || 0;
+        this.parseMarkdown();
+        this.renderLibrary();
+    }
+
+    createLibraryItem(name, markdown = '') {
+        return {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+            name,
+            markdown,
+            activeTableIndex: 0,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Read the library from localStorage, starting a new one if there is none
+    loadLibrary() {
+        let library = null;
+        try {
+            library = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Could not read saved tables:', error);
+        }
+
+        if (!library || !Array.isArray(library.items) || library.items.length === 0) {
+            const item = this.createLibraryItem('Untitled', this.markdownInput.value);
+            library = { version: 1, activeId: item.id, items: [item] };
+        }
+        if (!library.items.some(item => item.id === library.activeId)) {
+            library.activeId = library.items[0].id;
+        }
+
+        return library;
+    }
+
+    saveLibrary() {
+        const status = this.root.getElementById('saveStatus');
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.library));
+            status.textContent = `Saved ${new Date().toLocaleTimeString()}`;
+            status.classList.remove('error');
+        } catch (error) {
+            console.error('Could not save tables:', error);
+            status.textContent = 'Not saved: browser storage is unavailable or full';
+            status.classList.add('error');
+        }
+    }
+
+    getActiveLibraryItem() {
+        return this.library.items.find(item => item.id === this.library.activeId);
+    }
+
+    scheduleAutosave() {
+        if (!this.library) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), 500);
+    }
+
+    // Copy the current document into the active library entry and persist it
+    autosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+
+        const item = this.getActiveLibraryItem();
+        if (!item) return;
+
+        const changed = item.markdown !== this.markdownInput.value;
+        item.markdown = this.markdownInput.value;
+        item.activeTableIndex = this.activeTableIndex;
+        if (changed) {
+            item.updatedAt = new Date().toISOString();
+        }
+
+        this.saveLibrary();
+        if (changed) this.renderLibrary();
+    }
+
+    renderLibrary() {
+        this.libraryList.innerHTML = '';
+
+        this.library.items.forEach(item => {
+            const li = document.createElement('li');
+            li.dataset.id = item.id;
+            li.title = `Last changed ${new Date(item.updatedAt).toLocaleString()}`;
+            if (item.id === this.library.activeId) li.classList.add('active');
+
+            const name = document.createElement('span');
+            name.className = 'library-name';
+            name.textContent = item.name;
+
+            const tables = document.createElement('span');
+            tables.className = 'library-meta';
+            const count = Dialects.findTables(item.markdown).length;
+            tables.textContent = `${count} table${count === 1 ? '' : 's'}`;
+
+            li.append(name, tables);
+            this.libraryList.appendChild(li);
+        });
+
+        this.root.getElementById('libraryDelete').disabled = this.library.items.length === 0;
+    }
+
+    switchLibraryItem(id) {
+        if (id === this.library.activeId) return;
+
+        const item = this.library.items.find(entry => entry.id === id);
+        if (!item) return;
+
+        this.autosave();
+        this.library.activeId = id;
+        this.markdownInput.value = item.markdown;
+        this.activeTableIndex = item.activeTableIndex || 0;
+        this.resetColumnSettings();
+        this.clearSelections();
+        this.originalTables.clear();
+        this.gridDialect = null;
+        this.parseMarkdown();
+
+        // Undo steps belong to the document they were made in
+        this.resetHistory();
+        this.saveLibrary();
+        this.renderLibrary();
+    }
+
+    // A name not used by any entry yet: "Name", "Name (2)", ...
+    uniqueLibraryName(base) {
+        const names = this.library.items.map(item => item.name);
+        let name = base;
+        for (let n = 2; names.includes(name); n++) name = `${base} (${n})`;
+        return name;
+    }
+
+    newLibraryItem() {
+        const item = this.createLibraryItem(this.uniqueLibraryName('Untitled'));
+        this.library.items.push(item);
+        this.switchLibraryItem(item.id);
+    }
+
+    duplicateLibraryItem() {
+        this.autosave();
+        const source = this.getActiveLibraryItem();
+        const copy = this.createLibraryItem(this.uniqueLibraryName(`${source.name} copy`), source.markdown);
+        copy.activeTableIndex = source.activeTableIndex;
+
+        this.library.items.splice(this.library.items.indexOf(source) + 1, 0, copy);
+        this.switchLibraryItem(copy.id);
+    }
+
+    renameLibraryItem() {
+        const item = this.getActiveLibraryItem();
+        const name = prompt('Name for this table:', item.name);
+        if (name === null || !name.trim()) return;
+
+        item.name = name.trim();
+        this.saveLibrary();
+        this.renderLibrary();
+    }
+
+    deleteLibraryItem() {
+        const item = this.getActiveLibraryItem();
+        if (!confirm(`Delete "${item.name}"? This cannot be undone.`)) return;
+
+        const index = this.library.items.indexOf(item);
+        this.library.items.splice(index, 1);
+        if (this.library.items.length === 0) {
+            this.library.items.push(this.createLibraryItem('Untitled'));
+        }
+
+        // Switch without saving the deleted document back
+        const next = this.library.items[Math.min(index, this.library.items.length - 1)];
+        this.library.activeId = next.id;
+        this.markdownInput.value = next.markdown;
+        this.activeTableIndex = next.activeTableIndex || 0;
+        this.clearSelections();
+        this.parseMarkdown();
+        this.resetHistory();
+        this.saveLibrary();
+        this.renderLibrary();
+    }
+
+    // Download every saved table as one JSON backup file
+    exportLibrary() {
+        this.autosave();
+        const backup = {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            items: this.library.items.map(({ name, markdown, updatedAt }) => ({ name, markdown, updatedAt }))
+        };
+
+        const blob = new Blob([JSON.stringify(backup, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `markdown-tables-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Add the entries of a backup file alongside the existing ones
+    importLibrary(file) {
+        if (!file) return;
+
+        file.text().then(text => {
+            const data = JSON.parse(text);
+            const entries = Array.isArray(data) ? data : data && data.items;
+            if (!Array.isArray(entries)) {
+                throw new Error('no list of tables found');
+            }
+
+            const imported = entries.filter(entry => entry && typeof entry.markdown === 'string');
+            imported.forEach(entry => {
+                const item = this.createLibraryItem(this.uniqueLibraryName(String(entry.name || 'Imported')), entry.markdown);
+                if (entry.updatedAt) item.updatedAt = entry.updatedAt;
+                this.library.items.push(item);
+            });
+
+            this.saveLibrary();
+            this.renderLibrary();
+            alert(`Imported ${imported.length} table${imported.length === 1 ? '' : 's'} from ${file.name}`);
+        }).catch(error => {
+            alert(`Could not import ${file.name}: ${error.message}`);
+        });
+    }
+
+    initSelectionSystem() {
+        this.editableTable.addEventListener('click', (e) => {
+            if (this.isDragMode) return;
+
+            // The click that ends a range drag or shift-click keeps the range
+            if (this.suppressNextClick || e.shiftKey) {
+                this.suppressNextClick = false;
+                return;
+            }
+
+            const target = e.target;
+
+            // Row selection (click on any cell in body)
+            if (target.tagName === 'TD' && this.getRowIndex(target.parentElement) > 0) {
+                const row = target.closest('tr');
+                const rowIndex = this.getRowIndex(row);
+
+                this.clearSelections();
+                row.classList.add('selected-row');
+                this.selectedRow = rowIndex;
+                this.selectionAnchor = { row: rowIndex, col: target.cellIndex };
+                this.updateUI();
+                return;
+            }
+
+            // Column selection (click on header cell)
+            if (target.tagName === 'TH') {
+                const cellIndex = Array.from(target.parentElement.children).indexOf(target);
+
+                this.clearSelections();
+                this.selectedColumn = cellIndex;
+                this.selectionAnchor = { row: 0, col: cellIndex };
+
+                // Highlight entire column
+                this.applySelectionClasses();
+                this.updateUI();
+                return;
+            }
+
+            // Clear selection when clicking elsewhere
+            if (!target.closest('td') && !target.closest('th')) {
+                this.clearSelections();
+            }
+        });
+
+        this.initRangeSelection();
+    }
+
+    // Shift-click or drag across cells to select a rectangular block
+    initRangeSelection() {
+        const cellFromEvent = (e) => {
+            const cell = e.target.closest && e.target.closest('td, th');
+            if (!cell || !this.editableTable.contains(cell) || e.target.closest('.cell-control')) return null;
+            return this.getRowIndex(cell.parentElement) === -1 ? null : cell;
+        };
+        const positionOf = (cell) => ({
+            row: this.getRowIndex(cell.parentElement),
+            col: cell.cellIndex
+        });
+
+        this.editableTable.addEventListener('mousedown', (e) => {
+            if (this.isDragMode || e.button !== 0) return;
+
+            const cell = cellFromEvent(e);
+            if (!cell) return;
+
+            const position = positionOf(cell);
+            if (e.shiftKey) {
+                e.preventDefault();
+                const anchor = (this.selectedRange && this.selectedRange.anchor) || this.selectionAnchor || position;
+                this.selectRange(anchor, position);
+                return;
+            }
+
+            this.rangeDragStart = position;
+        });
+
+        this.editableTable.addEventListener('mouseover', (e) => {
+            if (!this.rangeDragStart || !(e.buttons & 1)) return;
+
+            const cell = cellFromEvent(e);
+            if (!cell) return;
+
+            const position = positionOf(cell);
+            const start = this.rangeDragStart;
+            if (position.row === start.row && position.col === start.col && !this.selectedRange) return;
+
+            // Dragging past the first cell turns text selection into a range
+            this.editableTable.classList.add('range-selecting');
+            this.suppressNextClick = true;
+            this.selectRange(start, position);
+        });
+
+        document.addEventListener('mouseup', () => {
+            this.rangeDragStart = null;
+            this.editableTable.classList.remove('range-selecting');
+        }, { signal: this.listeners.signal });
+
+        // Clipboard and keys act on the range while no cell is being edited
+        document.addEventListener('copy', (e) => {
+            if (!this.selectedRange || this.getEditingCell() || !this.isTableClipboardEvent(e)) return;
+            e.preventDefault();
+            e.clipboardData.setData('text/plain', this.getRangeTsv());
+        }, { signal: this.listeners.signal });
+
+        document.addEventListener('cut', (e) => {
+            if (!this.selectedRange || this.getEditingCell() || this.readOnly || !this.isTableClipboardEvent(e)) return;
+            e.preventDefault();
+            e.clipboardData.setData('text/plain', this.getRangeTsv());
+            this.clearRangeCells();
+        }, { signal: this.listeners.signal });
+
+        document.addEventListener('paste', (e) => this.handleTablePaste(e), { signal: this.listeners.signal });
+
+        this.editableTable.addEventListener('keydown', (e) => {
+            if (!this.selectedRange || this.getEditingCell()) return;
+
+            if ((e.key === 'Delete' || e.key === 'Backspace') && !this.readOnly) {
+                e.preventDefault();
+                this.clearRangeCells();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.clearSelections();
+            }
+        });
+    }
+
+    // The cell whose text is being edited, if any
+    getEditingCell() {
+        const active = this.root.activeElement;
+        if (!active || !this.editableTable.contains(active)) return null;
+        return active.tagName === 'TD' || active.tagName === 'TH' ? active : null;
+    }
+
+    selectRange(anchor, focus) {
+        this.clearSelections();
+        this.selectedRange = { anchor, focus };
+        this.selectionAnchor = anchor;
+
+        // Hand keyboard and clipboard events from the cell to the table
+        const editing = this.getEditingCell();
+        if (editing) editing.blur();
+        this.getDomSelection().removeAllRanges();
+        this.editableTable.focus({ preventScroll: true });
+
+        this.forEachRangeCell(cell => cell.classList.add('selected-range'));
+        this.updateUI();
+    }
+
+    getRangeBounds() {
+        const { anchor, focus } = this.selectedRange;
+        return {
+            top: Math.min(anchor.row, focus.row),
+            bottom: Math.max(anchor.row, focus.row),
+            left: Math.min(anchor.col, focus.col),
+            right: Math.max(anchor.col, focus.col)
+        };
+    }
+
+    forEachRangeCell(callback) {
+        if (!this.selectedRange) return;
+
+        const { top, bottom, left, right } = this.getRangeBounds();
+        for (let row = top; row <= bottom; row++) {
+            const tr = this.getRowElement(row);
+            if (!tr) continue;
+            for (let col = left; col <= right; col++) {
+                if (tr.cells[col]) callback(tr.cells[col], row, col);
+            }
+        }
+    }
 
-        const colCount = headerRow.querySelectorAll('th').length;
+    // Spreadsheet-style name of a range, e.g. "B2:D5" (the header is row 1)
+    getRangeLabel() {
+        const { top, bottom, left, right } = this.getRangeBounds();
+        const start = Formulas.columnLabel(left) + (top + 1);
+        const end = Formulas.columnLabel(right) + (bottom + 1);
+        return start === end ? start : `${start}:${end}`;
+    }
 
-        const newRow = document.createElement('tr');
+    getRangeTsv() {
+        const { top, bottom, left, right } = this.getRangeBounds();
+        const lines = [];
+        // Quoted like spreadsheets do, so multi-line cells paste back whole
+        const quote = (text) => /[\t\r\n]|^"/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        // Like a spreadsheet, only the cells shown are copied
+        for (let row = top; row <= bottom; row++) {
+            if (!this.isRowShown(row)) continue;
+            const values = [];
+            for (let col = left; col <= right; col++) {
+                if (this.hiddenColumns[col]) continue;
+                values.push(quote(Table.getCell(this.table, row, col)));
+            }
+            lines.push(values.join('\t'));
+        }
+        return lines.join('\n');
+    }
 
-        // Add cells
-        for (let i = 0; i < colCount; i++) {
-            const td = document.createElement('td');
-            td.contentEditable = true;
-            td.textContent = '';
-            td.setAttribute('data-col', i);
-            newRow.appendChild(td);
+    clearRangeCells() {
+        const { top, bottom, left, right } = this.getRangeBounds();
+        for (let row = top; row <= bottom; row++) {
+            for (let col = left; col <= right; col++) {
+                // Leave missing cells of short rows missing, and hidden cells alone
+                if (Table.getCell(this.table, row, col) !== '' && this.isCellShown(row, col)) {
+                    this.table = Table.setCell(this.table, row, col, '');
+                }
+            }
         }
 
-        tbody.appendChild(newRow);
-        this.applyModeSettings();
+        this.renderTable();
         this.updateMarkdown();
     }
 
-    addColumn() {
-        const thead = this.editableTable.querySelector('thead');
-        const tbody = this.editableTable.querySelector('tbody');
-        if (!thead || !tbody) return;
-
-        const headerRow = thead.querySelector('tr');
-        const bodyRows = Array.from(tbody.querySelectorAll('tr'));
-        const colCount = headerRow.querySelectorAll('th').length;
+    // Replace a cell's text while keeping its embedded controls. The cell
+    // shows the markdown formatted unless it is being edited.
+    setCellText(cell, text, editing = cell === this.root.activeElement) {
+        const controls = Array.from(cell.children).filter(child => child.classList.contains('cell-control'));
+        const result = editing ? null : this.getFormulaResult(cell, text);
+        const nodes = editing || result ? [] : Inline.parseInline(text);
+        const formatted = Boolean(result) || nodes.some(node => node.type !== 'text');
+
+        this.cellSources.set(cell, text);
+        if (result) {
+            cell.textContent = result.text;
+            cell.title = text;
+        } else {
+            cell.textContent = formatted ? '' : text;
+            if (formatted) this.appendInline(cell, nodes);
+            if (cell.classList.contains('formula')) cell.removeAttribute('title');
+        }
+        cell.classList.toggle('formatted', formatted);
+        cell.classList.toggle('formula', Boolean(result));
+        cell.classList.toggle('formula-error', Boolean(result && result.error));
 
-        // Add to header
-        const th = document.createElement('th');
-        th.contentEditable = true;
-        th.textContent = `Header ${colCount + 1}`;
-        th.setAttribute('data-col', colCount);
+        controls.forEach(control => {
+            if (control.classList.contains('row-handle')) {
+                cell.prepend(control);
+            } else {
+                cell.appendChild(control);
+            }
+        });
+    }
 
-        headerRow.appendChild(th);
+    // Result to show in place of a formula, or null for other cells. Header
+    // cells are never evaluated.
+    getFormulaResult(cell, text) {
+        if (!Formulas.isFormula(text)) return null;
 
-        // Add to body rows
-        bodyRows.forEach((row) => {
-            const td = document.createElement('td');
-            td.contentEditable = true;
-            td.textContent = '';
-            td.setAttribute('data-col', colCount);
-            row.appendChild(td);
-        });
+        const row = this.getRowIndex(cell.parentElement);
+        return row > 0 ? this.formulaResults.get(`${row}:${cell.cellIndex}`) || null : null;
+    }
 
-        this.applyModeSettings();
-        this.attachDragListeners(); // Re-attach listeners to new headers
-        this.updateMarkdown();
+    // Recalculate after a cell edit: formula results and the summary row
+    updateCalculations() {
+        const hadFormulas = this.formulaResults.size > 0;
+        this.formulaResults = Formulas.evaluateFormulas(this.table);
+        // Plain tables have no cells to refresh
+        if (hadFormulas || this.formulaResults.size > 0) this.refreshFormulaCells();
+        this.renderSummary();
     }
 
-    deleteRow() {
-        const tbody = this.editableTable.querySelector('tbody');
-        if (!tbody) return;
-
-        if (this.selectedRow !== null && !this.isDragMode) {
-            // Delete selected row
-            const rows = Array.from(tbody.querySelectorAll('tr'));
-            if (rows[this.selectedRow - 1]) { // -1 because header is row 0
-                rows[this.selectedRow - 1].remove();
-                this.clearSelections();
-                this.updateMarkdown();
-            }
-        } else {
-            // Fallback to current behavior (delete last row)
-            const rows = Array.from(tbody.querySelectorAll('tr'));
-            if (rows.length > 0) {
-                rows[rows.length - 1].remove();
-                this.updateMarkdown();
-            }
-        }
+    // Show current results in the rendered formula cells (except the one being edited)
+    refreshFormulaCells() {
+        this.editableTable.querySelectorAll('tbody tr[data-row]').forEach(tr => {
+            Array.from(tr.cells).forEach(cell => {
+                const source = this.getCellSource(cell);
+                if (cell !== this.root.activeElement && Formulas.isFormula(source)) {
+                    this.setCellText(cell, source, false);
+                }
+            });
+        });
     }
 
-    deleteColumn() {
-        const thead = this.editableTable.querySelector('thead');
-        const tbody = this.editableTable.querySelector('tbody');
-        if (!thead || !tbody) return;
+    toggleSummary(enabled) {
+        this.showSummary = enabled;
 
-        const headerRow = thead.querySelector('tr');
-        const bodyRows = Array.from(tbody.querySelectorAll('tr'));
+        // Start with a sum of every column that holds only numbers
+        if (enabled && !this.summaryAggregates.some(Boolean)) {
+            const computed = Formulas.computeTable(this.table, this.formulaResults);
+            this.summaryAggregates = this.table.headers.map((_, col) => {
+                const values = computed.rows.map(cells => (cells[col] || '').trim()).filter(Boolean);
+                return values.length > 0 && values.every(text => Formulas.parseQuantity(text)) ? 'sum' : '';
+            });
+        }
 
-        if (this.selectedColumn !== null && !this.isDragMode) {
-            // Delete selected column
-            const headerCells = Array.from(headerRow.querySelectorAll('th'));
-            if (headerCells.length <= 1) return; // Keep at least one column
+        this.renderSummary();
+    }
 
-            if (headerCells[this.selectedColumn]) {
-                headerCells[this.selectedColumn].remove();
+    // Summary row under the table, with an aggregate picker and result per column
+    renderSummary() {
+        let tfoot = this.editableTable.tFoot;
+        if (!this.showSummary || this.table.headers.length === 0) {
+            if (tfoot) tfoot.remove();
+            return;
+        }
 
-                bodyRows.forEach(row => {
-                    const cells = Array.from(row.querySelectorAll('td'));
-                    if (cells[this.selectedColumn]) {
-                        cells[this.selectedColumn].remove();
-                    }
-                });
+        if (!tfoot) tfoot = this.editableTable.createTFoot();
+        const tr = tfoot.rows[0] || tfoot.insertRow();
+        tr.className = 'summary-row';
+        while (tr.cells.length > this.table.headers.length) {
+            tr.lastElementChild.remove();
+        }
 
-                this.clearSelections();
-                this.updateMarkdown();
+        const labels = { sum: 'Sum', avg: 'Average', min: 'Min', max: 'Max', count: 'Count', distinct: 'Distinct' };
+        // Totals of the rows shown
+        const values = this.visibleRows
+            ? Formulas.summaryRow(this.getFilteredTable(Formulas.computeTable(this.table, this.formulaResults), false), this.summaryAggregates)
+            : Formulas.summaryRow(this.table, this.summaryAggregates, { results: this.formulaResults });
+
+        this.table.headers.forEach((_, col) => {
+            let td = tr.cells[col];
+            if (!td) {
+                td = tr.insertCell();
+                const select = document.createElement('select');
+                select.className = 'summary-select';
+                select.title = 'Summary for this column';
+                select.add(new Option('—', ''));
+                Formulas.AGGREGATES.forEach(fn => select.add(new Option(labels[fn], fn)));
+
+                const value = document.createElement('span');
+                value.className = 'summary-value';
+                td.append(select, value);
             }
-        } else {
-            // Fallback to current behavior (delete last column)
-            const headerCells = Array.from(headerRow.querySelectorAll('th'));
-            if (headerCells.length <= 1) return;
 
-            headerCells[headerCells.length - 1].remove();
+            const alignment = this.table.alignments[col] || 'none';
+            td.style.textAlign = alignment === 'none' ? '' : alignment;
+            td.querySelector('.summary-select').value = this.summaryAggregates[col] || '';
+            td.querySelector('.summary-value').textContent = values[col];
+        });
+    }
 
-            bodyRows.forEach(row => {
-                const cells = Array.from(row.querySelectorAll('td'));
-                if (cells.length > 0) {
-                    cells[cells.length - 1].remove();
-                }
-            });
+    // Filters
 
-            this.updateMarkdown();
-        }
-    }
+    toggleFilters(open = !this.showFilters) {
+        this.showFilters = open;
+        this.renderTable();
 
-    clearTable() {
-        this.editableTable.innerHTML = '<thead></thead><tbody></tbody>';
+        const input = this.editableTable.querySelector('.filter-input');
+        if (open && input) input.focus();
     }
 
-    applyModeSettings() {
-        const allCells = this.editableTable.querySelectorAll('td, th');
-        allCells.forEach(cell => {
-            if (this.isDragMode) {
-                cell.setAttribute('contenteditable', 'false');
-                cell.style.cursor = 'default';
-                cell.style.userSelect = 'none';
-            } else {
-                cell.setAttribute('contenteditable', 'true');
-                cell.style.cursor = 'text';
-                cell.style.userSelect = 'text';
+    // Work out which body rows pass the column filters. Formula cells are
+    // filtered by their results; a filter that doesn't parse is ignored.
+    updateVisibleRows() {
+        const filters = this.table.headers.map((_, col) => {
+            try {
+                return Table.parseFilter(this.columnFilters[col] || '');
+            } catch (error) {
+                return null;
             }
         });
-    }
 
-    initDragAndDrop() {
-        // Initialize drag state
-        this.draggedSrcColIndex = null;
-        this.swapInProgress = false;
+        if (!filters.some(Boolean)) {
+            this.visibleRows = null;
+            this.shownRows = null;
+            return;
+        }
 
-        // Don't attach listeners here - they'll be attached after table rendering
-        console.log('Drag and drop initialized (listeners will be attached after table rendering)');
+        this.visibleRows = Table.filterRows(Formulas.computeTable(this.table, this.formulaResults), filters);
+        this.shownRows = new Set(this.visibleRows);
     }
 
-    // Attach drag listeners to headers after they're created
-    attachDragListeners() {
-        const headers = this.editableTable.querySelectorAll('th');
-        console.log('Attaching drag listeners to', headers.length, 'headers');
+    // Whether any rows or columns are hidden
+    isFiltered() {
+        return this.visibleRows !== null || this.hiddenColumns.some(Boolean);
+    }
 
-        headers.forEach((th) => {
-            // If this header had listeners before, remove them using stored refs
-            const existing = this.headerDragHandlers.get(th);
-            if (existing) {
-                th.removeEventListener('dragstart', existing.onDragStart);
-                th.removeEventListener('dragend', existing.onDragEnd);
-                th.removeEventListener('dragover', existing.onDragOver);
-                th.removeEventListener('drop', existing.onDrop);
-            }
+    isRowShown(rowIndex) {
+        return rowIndex === 0 || !this.shownRows || this.shownRows.has(rowIndex - 1);
+    }
 
-            // Compute index dynamically at event time to be robust to structure changes
-            const getIndex = () => Array.from(th.parentElement.children).indexOf(th);
+    isCellShown(rowIndex, colIndex) {
+        return !this.hiddenColumns[colIndex] && this.isRowShown(rowIndex);
+    }
 
-            const onDragStart = (e) => this.handleDragStart(e, getIndex());
-            const onDragEnd = (e) => this.handleDragEnd(e);
-            const onDragOver = (e) => this.handleDragOver(e);
-            const onDrop = (e) => this.handleDrop(e, getIndex());
+    // Indexes of the columns that aren't hidden
+    getShownColumns() {
+        return this.table.headers.map((_, col) => col).filter(col => !this.hiddenColumns[col]);
+    }
 
-            th.addEventListener('dragstart', onDragStart);
-            th.addEventListener('dragend', onDragEnd);
-            th.addEventListener('dragover', onDragOver);
-            th.addEventListener('drop', onDrop);
+    // The nearest shown column before (step -1) or after (step 1) `colIndex`
+    // among the first `count`, or -1
+    getShownColumn(colIndex, step, count) {
+        for (let col = colIndex + step; col >= 0 && col < count; col += step) {
+            if (!this.hiddenColumns[col]) return col;
+        }
+        return -1;
+    }
 
-            this.headerDragHandlers.set(th, { onDragStart, onDragEnd, onDragOver, onDrop });
-        });
+    // The table row above (step -1) or below (step 1) `rowIndex` that the
+    // filters leave shown, or -1. Row 0 is the header.
+    getAdjacentRow(rowIndex, step) {
+        if (!this.visibleRows) {
+            const next = rowIndex + step;
+            return next >= 0 && next <= this.table.rows.length ? next : -1;
+        }
+
+        if (step > 0) {
+            const next = this.visibleRows.find(index => index + 1 > rowIndex);
+            return next === undefined ? -1 : next + 1;
+        }
+        if (rowIndex === 0) return -1;
+        const previous = this.visibleRows.findLast(index => index + 1 < rowIndex);
+        return previous === undefined ? 0 : previous + 1;
     }
 
-    // Remove existing drag listeners to prevent duplicates
-    removeDragListeners() {
-        const headers = this.editableTable.querySelectorAll('th');
-        headers.forEach((th) => {
-            const existing = this.headerDragHandlers.get(th);
-            if (existing) {
-                th.removeEventListener('dragstart', existing.onDragStart);
-                th.removeEventListener('dragend', existing.onDragEnd);
-                th.removeEventListener('dragover', existing.onDragOver);
-                th.removeEventListener('drop', existing.onDrop);
-                this.headerDragHandlers.delete(th);
-            }
-        });
+    // A copy of the table with only the rows shown and, unless
+    // `hideColumns` is false, only the columns shown
+    getFilteredTable(table = this.table, hideColumns = true) {
+        const columns = hideColumns ? this.getShownColumns() : table.headers.map((_, col) => col);
+        const pick = cells => columns.filter(col => col < cells.length).map(col => cells[col]);
+        const rows = this.visibleRows ? this.visibleRows.map(index => table.rows[index]) : table.rows;
+
+        return Table.createTable(pick(table.headers), rows.map(pick), columns.map(col => table.alignments[col] || 'none'));
     }
 
-    // Drag event handlers
-    handleDragStart(e, index) {
-        if (!this.isDragMode) {
-            e.preventDefault();
+    // Filter boxes and hide buttons in a row under the header
+    renderFilterRow() {
+        const thead = this.editableTable.tHead;
+        let tr = thead.querySelector('tr.filter-row');
+        if (!this.showFilters || this.table.headers.length === 0) {
+            if (tr) tr.remove();
             return;
         }
 
-        // Check if the element is actually draggable
-        if (e.target.getAttribute('draggable') !== 'true') {
-            e.preventDefault();
-            return;
+        if (!tr) {
+            tr = thead.insertRow();
+            tr.className = 'filter-row';
+        }
+        while (tr.cells.length > this.table.headers.length) {
+            tr.lastElementChild.remove();
         }
 
-        this.draggedSrcColIndex = index;
+        const help = 'Text to look for, =text or !=text for whole cells, /regex/ or a comparison like >10';
+        this.table.headers.forEach((_, col) => {
+            let td = tr.cells[col];
+            if (!td) {
+                td = tr.insertCell();
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'filter-input';
+                input.placeholder = 'Filter';
+                input.setAttribute('aria-label', `Filter column ${col + 1}`);
+
+                const hide = document.createElement('button');
+                hide.type = 'button';
+                hide.className = 'hide-column';
+                hide.textContent = '×';
+                hide.title = 'Hide this column';
+                td.append(input, hide);
+            }
 
-        // Set drag data
-        e.dataTransfer.effectAllowed = 'move';
-        e.dataTransfer.setData('text/html', e.target.outerHTML);
+            const input = td.querySelector('.filter-input');
+            const text = this.columnFilters[col] || '';
+            if (input.value !== text) input.value = text;
 
-        // Visual feedback
-        e.target.style.opacity = '0.4';
-        e.target.style.transform = 'scale(0.95)';
+            let error = null;
+            try {
+                Table.parseFilter(text);
+            } catch (e) {
+                error = `Invalid regex: ${e.message}`;
+            }
+            input.classList.toggle('invalid', error !== null);
+            input.title = error || help;
+        });
     }
 
-    handleDragEnd(e) {
-        // Reset visual state
-        e.target.style.opacity = '';
-        e.target.style.transform = '';
-        this.draggedSrcColIndex = null;
-    }
+    // Hide columns `left` to `right`, always leaving one column shown
+    hideColumns(left, right) {
+        const shown = this.getShownColumns().filter(col => col < left || col > right);
+        if (shown.length === 0) return;
 
-    handleDragOver(e) {
-        if (!this.isDragMode) return;
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
+        while (this.hiddenColumns.length < this.table.headers.length) this.hiddenColumns.push(false);
+        for (let col = left; col <= right; col++) this.hiddenColumns[col] = true;
+
+        this.clearSelections();
+        this.renderTable();
     }
 
-    handleDrop(e, targetIndex) {
-        if (!this.isDragMode) return;
+    showAllColumns() {
+        this.hiddenColumns = [];
+        this.renderTable();
+    }
 
-        e.preventDefault();
-        e.stopPropagation();
+    applyColumnVisibility() {
+        this.editableTable.querySelectorAll('tr:not(.virtual-spacer)').forEach(tr => {
+            Array.from(tr.cells).forEach((cell, col) => {
+                cell.classList.toggle('column-hidden', Boolean(this.hiddenColumns[col]));
+            });
+        });
+    }
 
-        // Guard against duplicate drop events during a single drag
-        if (this.swapInProgress) {
-            return;
+    // Show the changes since the table was first loaded instead of the
+    // editable table
+    toggleDiff(show = !this.showDiff) {
+        this.showDiff = show;
+        this.root.getElementById('diffPanel').hidden = !show;
+        this.tableContainer.hidden = show;
+        this.root.getElementById('toggleDiff').textContent = show ? 'Hide Changes' : 'Show Changes';
+
+        if (show) {
+            this.clearSelections();
+            this.renderDiff();
         }
+    }
 
-        if (this.draggedSrcColIndex === null || this.draggedSrcColIndex === undefined) {
-            return;
-        }
+    // Compare with the table as it is now from here on
+    resetOriginalTable() {
+        this.originalTables.set(this.activeTableIndex, Table.cloneTable(this.table));
+        this.renderDiff();
+    }
 
-        if (targetIndex === this.draggedSrcColIndex) {
-            return;
-        }
+    // The old and new table side by side in one: removed rows and columns
+    // where they were, changed cells with their old text struck out. Only
+    // changed rows and a row around them are shown; the others are folded.
+    renderDiff() {
+        if (!this.showDiff) return;
+
+        const diff = TableDiff.diffTables(this.originalTables.get(this.activeTableIndex) || Table.createTable(), this.table);
+        this.diffSummary = TableDiff.summarizeDiff(diff);
+        this.root.getElementById('diffSummary').textContent = this.diffSummary;
+
+        const table = this.root.getElementById('diffTable');
+        table.innerHTML = '';
+        if (diff.columns.length === 0) return;
+
+        const headerRow = table.createTHead().insertRow();
+        diff.columns.forEach(column => {
+            const th = document.createElement('th');
+            th.className = `diff-${column.status}`;
+            th.classList.toggle('diff-moved', column.moved);
+            th.classList.toggle('diff-renamed', column.renamed);
+            if (column.renamed) {
+                this.appendChange(th, diff.before.headers[column.before], column.header);
+            } else {
+                th.textContent = column.header;
+            }
 
-        const sourceIndex = this.draggedSrcColIndex;
+            const notes = [];
+            if (column.moved) notes.push(`Moved from column ${column.before + 1}`);
+            if (column.realigned) notes.push(`Aligned ${diff.after.alignments[column.after]}, was ${diff.before.alignments[column.before]}`);
+            th.title = notes.join('\n');
+            headerRow.appendChild(th);
+        });
 
-        this.swapInProgress = true;
-        try {
-            // Swap cells in all rows for the dragged and target columns
-            const rows = this.editableTable.rows;
-            for (let i = 0; i < rows.length; i++) {
-                const cells = rows[i].cells;
-                if (cells[sourceIndex] && cells[targetIndex]) {
-                    const temp = cells[sourceIndex].innerHTML;
-                    cells[sourceIndex].innerHTML = cells[targetIndex].innerHTML;
-                    cells[targetIndex].innerHTML = temp;
-                }
+        const tbody = table.createTBody();
+        const fold = (text) => {
+            const cell = tbody.insertRow().insertCell();
+            cell.parentElement.className = 'diff-fold';
+            cell.colSpan = diff.columns.length;
+            cell.textContent = text;
+        };
+
+        const changed = diff.rows.map(row => row.status !== 'same' || row.moved);
+        const context = this.diffContext;
+        let skipped = 0;
+        let rendered = 0;
+        for (let i = 0; i < diff.rows.length; i++) {
+            if (!changed.slice(Math.max(0, i - context), i + context + 1).some(Boolean)) {
+                skipped++;
+                continue;
             }
+            if (skipped > 0) fold(`${skipped} unchanged ${skipped === 1 ? 'row' : 'rows'}`);
+            skipped = 0;
 
-            this.updateMarkdown();
-        } catch (error) {
-            console.error('Error during column swap:', error);
-        } finally {
-            // Reset drag state to avoid handling duplicate drops
-            this.draggedSrcColIndex = null;
-            this.swapInProgress = false;
+            if (rendered++ === this.maxDiffRows) {
+                fold(`${diff.rows.length - i} more rows not shown`);
+                return;
+            }
+
+            const row = diff.rows[i];
+            const tr = tbody.insertRow();
+            tr.className = `diff-${row.status}`;
+            tr.classList.toggle('diff-moved', row.moved);
+            if (row.moved) tr.title = `Moved from row ${row.before + 1}`;
+
+            row.cells.forEach((status, col) => {
+                const column = diff.columns[col];
+                const td = tr.insertCell();
+                td.className = `diff-${status}`;
+                const old = row.before !== null && column.before !== null ? diff.before.rows[row.before][column.before] : '';
+                const now = row.after !== null && column.after !== null ? diff.after.rows[row.after][column.after] : '';
+                if (status === 'modified') {
+                    this.appendChange(td, old, now);
+                } else {
+                    td.textContent = status === 'removed' ? old : now;
+                }
+            });
         }
+        if (skipped > 0) fold(`${skipped} unchanged ${skipped === 1 ? 'row' : 'rows'}`);
     }
 
+    // Old text struck out, then the new text
+    appendChange(parent, old, now) {
+        if (old) parent.appendChild(document.createElement('del')).textContent = old;
+        if (now) parent.appendChild(document.createElement('ins')).textContent = now;
+    }
 
+    // Build elements for parsed inline markdown. Text only ever goes into
+    // text nodes and unsafe links are left as plain text.
+    appendInline(parent, nodes) {
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                parent.appendChild(document.createTextNode(node.text));
+                return;
+            }
 
+            let element;
+            if (node.type === 'code') {
+                element = document.createElement('code');
+                element.textContent = node.text;
+            } else if (node.type === 'image') {
+                element = document.createElement('span');
+                element.className = 'cell-image';
+                element.textContent = node.alt || 'image';
+                element.title = node.title || node.src || '';
+            } else if (node.type === 'link') {
+                if (!node.href) {
+                    this.appendInline(parent, node.children);
+                    return;
+                }
+                element = document.createElement('a');
+                element.href = node.href;
+                element.target = '_blank';
+                element.rel = 'noopener noreferrer';
+                if (node.title) element.title = node.title;
+                this.appendInline(element, node.children);
+            } else {
+                element = document.createElement(node.type);
+                this.appendInline(element, node.children);
+            }
+            parent.appendChild(element);
+        });
+    }
 
+    // Multi-cell clipboard text fills cells from the range's top-left corner
+    // (or the cell being edited); a single line pastes as plain text
+    handleTablePaste(e) {
+        if (this.isDragMode || this.readOnly || !e.clipboardData || !this.isTableClipboardEvent(e)) return;
 
+        const editing = this.getEditingCell();
+        if (!editing && !this.selectedRange) return;
 
+        const text = e.clipboardData.getData('text/plain').replace(/\r?\n$/, '');
+        // Lines of text pasted into a cell stay in it; lines from a spreadsheet are rows
+        const fromSpreadsheet = /<table[\s>]/i.test(e.clipboardData.getData('text/html'));
+        const isBlock = /\t/.test(text) || (/[\r\n]/.test(text) && (!editing || fromSpreadsheet));
 
+        if (editing && /[\r\n]/.test(text) && !isBlock) {
+            e.preventDefault();
+            this.insertCellText(editing, text.replace(/\r\n?/g, '\n'));
+            return;
+        }
 
+        if (editing && !isBlock) {
+            // Keep formatting copied from other pages out of the cell
+            e.preventDefault();
+            document.execCommand('insertText', false, text);
+            return;
+        }
 
-    initSelectionSystem() {
-        this.editableTable.addEventListener('click', (e) => {
-            if (this.isDragMode) return;
+        e.preventDefault();
+        const start = this.selectedRange
+            ? { row: this.getRangeBounds().top, col: this.getRangeBounds().left }
+            : { row: this.getRowIndex(editing.parentElement), col: editing.cellIndex };
+        this.pasteBlock(this.parseDelimited(text, '\t'), start);
+    }
 
-            const target = e.target;
+    // Put plain text at the caret of the cell being edited. Browsers turn line
+    // breaks typed or inserted the usual way into <br> and <div> elements, so
+    // they go in as text and show through white-space: pre-wrap.
+    insertCellText(cell, text) {
+        const selection = this.getDomSelection();
+        if (selection.rangeCount === 0 || !cell.contains(selection.anchorNode)) return;
+
+        const range = selection.getRangeAt(0);
+        range.deleteContents();
+        const node = document.createTextNode(text);
+        range.insertNode(node);
+        range.setStartAfter(node);
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        cell.dispatchEvent(new Event('input', { bubbles: true }));
+    }
 
-            // Row selection (click on any cell in body)
-            if (target.tagName === 'TD') {
-                const row = target.closest('tr');
-                const tbody = this.editableTable.querySelector('tbody');
-                const rowIndex = Array.from(tbody.children).indexOf(row) + 1; // +1 for header offset
+    // Write rows of values into the table, growing it as needed
+    pasteBlock(values, start) {
+        if (values.length === 0 || this.table.headers.length === 0) return;
 
-                this.clearSelections();
-                row.classList.add('selected-row');
-                this.selectedRow = rowIndex;
-                this.updateUI();
-                return;
-            }
+        const width = Math.max(...values.map(row => row.length));
+        while (this.table.rows.length + 1 < start.row + values.length) {
+            this.table = Table.insertRow(this.table);
+        }
+        while (this.table.headers.length < start.col + width) {
+            const count = this.table.headers.length;
+            this.table = Table.insertColumn(this.table, count, `Header ${count + 1}`);
+        }
 
-            // Column selection (click on header cell)
-            if (target.tagName === 'TH') {
-                const cellIndex = Array.from(target.parentElement.children).indexOf(target);
+        values.forEach((rowValues, i) => {
+            rowValues.forEach((value, j) => {
+                this.table = Table.setCell(this.table, start.row + i, start.col + j, value.replace(/\r\n?/g, '\n'));
+            });
+        });
 
-                this.clearSelections();
-                this.selectedColumn = cellIndex;
+        this.renderTable();
+        this.updateMarkdown();
 
-                // Highlight entire column
-                const tbody = this.editableTable.querySelector('tbody');
-                const bodyRows = Array.from(tbody.querySelectorAll('tr'));
-                bodyRows.forEach(row => {
-                    const cells = Array.from(row.querySelectorAll('td'));
-                    if (cells[cellIndex]) {
-                        cells[cellIndex].classList.add('selected-column');
-                    }
-                });
-                target.classList.add('selected-column');
-                this.updateUI();
-                return;
-            }
+        this.selectRange(start, { row: start.row + values.length - 1, col: start.col + width - 1 });
+    }
 
-            // Clear selection when clicking elsewhere
-            if (!target.closest('td') && !target.closest('th')) {
-                this.clearSelections();
-            }
+    // Mark the selected row, column or range again after re-rendering
+    applySelectionClasses() {
+        this.editableTable.querySelectorAll('.selected-row, .selected-column, .selected-range').forEach(element => {
+            element.classList.remove('selected-row', 'selected-column', 'selected-range');
         });
+
+        if (this.selectedRange) {
+            this.forEachRangeCell(cell => cell.classList.add('selected-range'));
+        } else if (this.selectedRow !== null) {
+            const tr = this.getRowElement(this.selectedRow);
+            if (tr) tr.classList.add('selected-row');
+        } else if (this.selectedColumn !== null) {
+            this.getRenderedRows().forEach(tr => {
+                const cell = tr.cells[this.selectedColumn];
+                if (cell) cell.classList.add('selected-column');
+            });
+        }
     }
 
     clearSelections() {
         this.selectedRow = null;
         this.selectedColumn = null;
+        this.selectedRange = null;
 
         // Remove all selection classes
-        const selectedElements = this.editableTable.querySelectorAll('.selected-row, .selected-column');
+        const selectedElements = this.editableTable.querySelectorAll('.selected-row, .selected-column, .selected-range');
         selectedElements.forEach(element => {
-            element.classList.remove('selected-row', 'selected-column');
+            element.classList.remove('selected-row', 'selected-column', 'selected-range');
         });
 
         this.updateUI();
@@ -552,38 +3804,12 @@ class MarkdownTableEditor {
         this.isDragMode = !this.isDragMode;
         this.clearSelections();
 
-        // Manage draggable attributes and contenteditable based on mode
-        const headers = this.editableTable.querySelectorAll('th');
-        const bodyCells = this.editableTable.querySelectorAll('tbody td');
+        // Manage draggable attributes, row handles and contenteditable based on mode
+        this.applyModeSettings();
 
         if (this.isDragMode) {
-            // Enable dragging on headers
-            headers.forEach(th => {
-                th.setAttribute('draggable', 'true');
-                th.style.cursor = 'move';
-            });
-
-            // Disable contenteditable on all cells
-            const allCells = this.editableTable.querySelectorAll('td, th');
-            allCells.forEach(cell => {
-                cell.setAttribute('contenteditable', 'false');
-                cell.style.userSelect = 'none';
-            });
-
             // Ensure drag listeners are attached
             this.attachDragListeners();
-        } else {
-            // Disable dragging on headers
-            headers.forEach(th => {
-                th.removeAttribute('draggable');
-                th.style.cursor = 'default';
-            });
-
-            // Re-enable contenteditable on body cells
-            bodyCells.forEach(cell => {
-                cell.setAttribute('contenteditable', 'true');
-                cell.style.userSelect = 'text';
-            });
         }
 
         // Update CSS classes
@@ -598,11 +3824,11 @@ class MarkdownTableEditor {
     }
 
     updateUI() {
-        const modeButton = document.getElementById('toggleMode');
-        const modeIndicator = document.getElementById('modeIndicator');
-        const selectionStatus = document.getElementById('selectionStatus');
-        const deleteRowBtn = document.getElementById('deleteRow');
-        const deleteColBtn = document.getElementById('deleteColumn');
+        const modeButton = this.root.getElementById('toggleMode');
+        const modeIndicator = this.root.getElementById('modeIndicator');
+        const selectionStatus = this.root.getElementById('selectionStatus');
+        const deleteRowBtn = this.root.getElementById('deleteRow');
+        const deleteColBtn = this.root.getElementById('deleteColumn');
 
         if (this.isDragMode) {
             modeButton.textContent = 'Switch to Selection Mode';
@@ -616,7 +3842,12 @@ class MarkdownTableEditor {
             modeIndicator.textContent = 'Selection Mode';
             modeIndicator.className = 'mode-indicator selection';
 
-            if (this.selectedRow !== null) {
+            if (this.selectedRange) {
+                const { bottom, left, right } = this.getRangeBounds();
+                selectionStatus.textContent = `${this.getRangeLabel()} selected`;
+                deleteRowBtn.disabled = bottom === 0;
+                deleteColBtn.disabled = right - left + 1 >= this.table.headers.length;
+            } else if (this.selectedRow !== null) {
                 selectionStatus.textContent = `Row ${this.selectedRow} selected`;
                 deleteRowBtn.disabled = false;
                 deleteColBtn.disabled = true;
@@ -625,15 +3856,40 @@ class MarkdownTableEditor {
                 deleteRowBtn.disabled = true;
                 deleteColBtn.disabled = false;
             } else {
-                selectionStatus.textContent = 'Click a cell to select row or column';
+                selectionStatus.textContent = 'Click a cell to select row or column, shift-click or drag for a range';
                 deleteRowBtn.disabled = true;
                 deleteColBtn.disabled = true;
             }
         }
+
+        // Rows and columns left out by filters
+        const filterStatus = [];
+        if (this.visibleRows) {
+            filterStatus.push(`showing ${this.visibleRows.length} of ${this.table.rows.length} rows`);
+        }
+        const hidden = this.hiddenColumns.filter(Boolean).length;
+        if (hidden > 0) {
+            filterStatus.push(`${hidden} ${hidden === 1 ? 'column' : 'columns'} hidden`);
+        }
+        if (filterStatus.length > 0) {
+            selectionStatus.textContent = [selectionStatus.textContent, filterStatus.join(', ')].filter(Boolean).join(' · ');
+        }
+
+        const showColumns = this.root.getElementById('showColumns');
+        showColumns.hidden = hidden === 0;
+        showColumns.textContent = `Show ${hidden} Hidden ${hidden === 1 ? 'Column' : 'Columns'}`;
+        this.root.getElementById('exportScope').hidden = !this.isFiltered();
+
+        // Rows are counted with the header as row 0, like Table.getCell()
+        const selection = {
+            row: this.selectedRow,
+            column: this.selectedColumn,
+            range: this.selectedRange ? this.getRangeBounds() : null
+        };
+        const key = JSON.stringify(selection);
+        if (key !== this.lastSelection) {
+            this.lastSelection = key;
+            this.emit('selectionchange', selection);
+        }
     }
 }
-
-// Initialize the editor when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new MarkdownTableEditor();
-});
\ No newline at end of file
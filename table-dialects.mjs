@@ -0,0 +1,392 @@
+// Table Dialects
+//
+// Plain-text table formats besides GFM, with no DOM access: Pandoc grid
+// tables, Org-mode tables and reStructuredText grid and simple tables. They
+// are read into the table model (table-model.mjs) and written back from it,
+// so a table can be edited in the format it was written in or converted to
+// another one.
+//
+// Grid and simple tables line up by character column: cells are cut at the
+// column edges by display width, and the edges are worked out again from the
+// widest cell whenever the table is written. The model has one header row
+// and no spanning cells, so cells spanning columns are cut at the edges,
+// further header rows become body rows and Org rules between body rows are
+// dropped.
+
+import * as Table from './table-model.mjs';
+
+// Dialect ids with their names, GFM first
+export const DIALECTS = [
+    { id: 'gfm', label: 'GFM' },
+    { id: 'pandoc-grid', label: 'Pandoc grid' },
+    { id: 'org', label: 'Org' },
+    { id: 'rst-grid', label: 'reST grid' },
+    { id: 'rst-simple', label: 'reST simple' }
+];
+
+// Grid table borders: +-----+-----+, or +=====+:===:+ under the header
+const GRID_BORDER = /^\+(?:[-=:]+\+)+$/;
+
+// Org rule between rows: |-----+-----|
+const ORG_RULE = /^\|-[-+]*\|?$/;
+
+// reST simple table borders (two columns at least): =====  =====
+const SIMPLE_BORDER = /^=+(?: +=+)+$/;
+
+// Lines marking header cells that span columns in a simple table: -----  -----
+const SIMPLE_UNDERLINE = /^-+(?: +-+)*$/;
+
+// Org alignment cookies
+const ORG_COOKIES = { left: '<l>', center: '<c>', right: '<r>' };
+
+// Locate every table in a document, whatever its dialect. Entries are as
+// from Table.findTables() plus the `dialect` the table is written in. Grid
+// tables without alignment colons read the same in Pandoc and reST: they are
+// taken as `gridDialect` when given, otherwise as reST in documents that look
+// like reStructuredText. reST has no indented code blocks, so indented
+// tables (e.g. inside a directive) are found there too.
+export function findTables(markdown, { gridDialect = null } = {}) {
+    const rst = looksLikeRst(markdown.split(/\r?\n/));
+    const grid = gridDialect || (rst ? 'rst-grid' : 'pandoc-grid');
+    return Table.findTables(markdown, (lines, start) => parseTableAt(lines, start, { gridDialect: grid }), {
+        indentedCode: !rst
+    });
+}
+
+// The first table in a document, in any dialect, or null
+export function parseTable(markdown) {
+    const tables = findTables(markdown);
+    return tables.length > 0 ? tables[0].table : null;
+}
+
+// Parse a table starting at lines[start] in whichever dialect it is written:
+// { table, startLine, endLine, dialect } or null
+export function parseTableAt(lines, start, { gridDialect = 'pandoc-grid' } = {}) {
+    const gfm = Table.parseTableAt(lines, start);
+    if (gfm) return { ...gfm, dialect: 'gfm' };
+
+    const line = lines[start].trim();
+    if (GRID_BORDER.test(line)) return parseGridTable(lines, start, gridDialect);
+    if (line.startsWith('|')) return parseOrgTable(lines, start);
+    if (SIMPLE_BORDER.test(line)) return parseSimpleTable(lines, start);
+    return null;
+}
+
+// A table written in a dialect, ending with a newline. GFM takes the options
+// of Table.serializeTable(); the other dialects are always padded.
+export function serializeTable(table, dialect = 'gfm', options = {}) {
+    if (table.headers.length === 0) return '';
+
+    const serializers = {
+        'pandoc-grid': () => serializeGridTable(table, true),
+        org: () => serializeOrgTable(table),
+        'rst-grid': () => serializeGridTable(table, false),
+        'rst-simple': () => serializeSimpleTable(table)
+    };
+    return serializers[dialect] ? serializers[dialect]() : Table.serializeTable(table, options);
+}
+
+// Name of a dialect for display
+export function dialectLabel(id) {
+    const dialect = DIALECTS.find(d => d.id === id);
+    return dialect ? dialect.label : id;
+}
+
+// Grid tables
+
+//   +-------+-------+
+//   | Name  | Age   |
+//   +=======+======:+
+//   | Alice | 42    |
+//   +-------+-------+
+//
+// Rows end at a border line. A cell may take several lines, which are kept
+// as line breaks. The border under the header is drawn with `=`, and Pandoc
+// marks alignment on it with colons; without a header every row is a body
+// row, so the first one becomes the header.
+function parseGridTable(lines, start, gridDialect) {
+    const indent = leadingSpace(lines[start]);
+    const top = lines[start].slice(indent).trimEnd();
+    const edges = [];
+    for (let i = 0; i < top.length; i++) {
+        if (top[i] === '+') edges.push(i);
+    }
+    const ranges = edges.slice(1).map((edge, k) => ({ from: edges[k] + 1, to: edge }));
+
+    const rows = [];
+    let current = null;
+    let alignmentLine = null;
+    let end = start + 1;
+
+    for (let i = start + 1; i < lines.length; i++) {
+        if (lines[i].slice(0, indent).trim()) break;
+        const line = lines[i].slice(indent).trimEnd();
+
+        if (GRID_BORDER.test(line)) {
+            if (current) rows.push(current);
+            current = null;
+            if (line.includes('=') && alignmentLine === null) alignmentLine = line;
+            end = i + 1;
+            continue;
+        }
+        if (!line.startsWith('|')) break;
+
+        if (!current) current = ranges.map(() => []);
+        cutColumns(line, ranges).forEach((text, k) => current[k].push(text));
+    }
+    // A row missing its closing border is left out
+    if (rows.length === 0) return null;
+
+    // Headerless Pandoc tables give the alignment on the top border
+    if (alignmentLine === null) alignmentLine = top;
+    const cells = rows.map(row => row.map(joinCellLines));
+    const alignments = alignmentLine.split('+').slice(1, -1).map(gridAlignment);
+
+    return {
+        table: Table.createTable(cells[0], cells.slice(1), alignments),
+        startLine: start,
+        endLine: end,
+        dialect: /:/.test(alignmentLine) ? 'pandoc-grid' : gridDialect
+    };
+}
+
+function gridAlignment(segment) {
+    const left = segment.startsWith(':');
+    const right = segment.endsWith(':');
+    if (left && right) return 'center';
+    if (left) return 'left';
+    return right ? 'right' : 'none';
+}
+
+function serializeGridTable(table, pandoc) {
+    const data = Table.normalizeTable(table);
+    const widths = columnWidths([data.headers, ...data.rows], 3);
+
+    const border = (fill, alignments = []) => '+' + widths.map((width, i) => {
+        const left = alignments[i] === 'left' || alignments[i] === 'center';
+        const right = alignments[i] === 'right' || alignments[i] === 'center';
+        return (left ? ':' : '') + fill.repeat(width + 2 - (left ? 1 : 0) - (right ? 1 : 0)) + (right ? ':' : '');
+    }).join('+') + '+';
+
+    const rowLines = (cells) => {
+        const texts = cells.map(text => text.split('\n'));
+        const height = Math.max(...texts.map(cellLines => cellLines.length));
+        return Array.from({ length: height }, (_, n) =>
+            '| ' + texts.map((cellLines, i) => Table.padCell(cellLines[n] || '', widths[i], 'left')).join(' | ') + ' |');
+    };
+
+    const lines = [border('-'), ...rowLines(data.headers), border('=', pandoc ? data.alignments : [])];
+    data.rows.forEach(row => lines.push(...rowLines(row), border('-')));
+    return lines.join('\n') + '\n';
+}
+
+// Org tables
+
+//   | Name  | Age |
+//   |-------+-----|
+//   | <l>   | <r> |
+//   | Alice |  42 |
+//
+// The row above the first rule is the header (a rule may also go above it).
+// A row of <l>, <c> and <r> cookies sets the alignment, and \vert stands for
+// a pipe inside a cell.
+function parseOrgTable(lines, start) {
+    const header = ORG_RULE.test(lines[start].trim()) ? start + 1 : start;
+    if (header + 1 >= lines.length) return null;
+
+    const headerLine = lines[header].trim();
+    if (!headerLine.startsWith('|') || ORG_RULE.test(headerLine) || !ORG_RULE.test(lines[header + 1].trim())) return null;
+
+    const rows = [];
+    let alignments = [];
+    let end = header + 2;
+
+    while (end < lines.length) {
+        const line = lines[end].trim();
+        if (!line.startsWith('|')) break;
+        end++;
+        if (ORG_RULE.test(line)) continue;
+
+        const cells = splitOrgRow(line);
+        if (alignments.length === 0 && isCookieRow(cells)) {
+            alignments = cells.map(cookieAlignment);
+        } else {
+            rows.push(cells);
+        }
+    }
+
+    return {
+        table: Table.createTable(splitOrgRow(headerLine), rows, alignments),
+        startLine: start,
+        endLine: end,
+        dialect: 'org'
+    };
+}
+
+function splitOrgRow(line) {
+    const text = line.replace(/^\|/, '').replace(/\|$/, '');
+    return text.split('|').map(cell => cell.trim().replace(/\\vert(?:\{\})?/g, '|'));
+}
+
+function isCookieRow(cells) {
+    return cells.some(Boolean) && cells.every(cell => !cell || /^<[lcr]?\d*>$/.test(cell));
+}
+
+function cookieAlignment(cookie) {
+    const alignments = { l: 'left', c: 'center', r: 'right' };
+    return alignments[cookie.charAt(1)] || 'none';
+}
+
+// Org cells hold one line, so line breaks become spaces
+function serializeOrgTable(table) {
+    const data = Table.normalizeTable(table);
+    const cell = (text) => text.replace(/\s*\r?\n\s*/g, ' ').replace(/\|/g, '\\vert{}');
+    const headers = data.headers.map(cell);
+    const rows = data.rows.map(row => row.map(cell));
+    const cookies = data.alignments.some(alignment => alignment !== 'none')
+        ? data.alignments.map(alignment => ORG_COOKIES[alignment] || '')
+        : null;
+    const widths = columnWidths(cookies ? [headers, cookies, ...rows] : [headers, ...rows], 1);
+
+    const line = (cells) => '| ' + cells.map((text, i) => Table.padCell(text, widths[i], data.alignments[i])).join(' | ') + ' |';
+    const rule = '|' + widths.map(width => '-'.repeat(width + 2)).join('+') + '|';
+
+    return [line(headers), rule, ...(cookies ? [line(cookies)] : []), ...rows.map(line)].join('\n') + '\n';
+}
+
+// reST simple tables
+
+//   =====  =====
+//   Name   Age
+//   =====  =====
+//   Alice  42
+//   =====  =====
+//
+// The borders give the columns; the last one runs to the end of the line.
+// A line whose first column is blank continues the row above it. Without
+// the middle border every row is a body row, so the first one becomes the
+// header. A blank line ends the table.
+function parseSimpleTable(lines, start) {
+    const indent = leadingSpace(lines[start]);
+    const border = lines[start].slice(indent).trimEnd();
+    const starts = [...border.matchAll(/=+/g)].map(match => match.index);
+    const ranges = starts.map((from, k) => ({ from, to: k + 1 < starts.length ? starts[k + 1] : null }));
+
+    const isBorder = (i) => !lines[i].slice(0, indent).trim() && lines[i].slice(indent).trimEnd() === border;
+    // Index of the border closing the rows from lines[from], or null
+    const closingBorder = (from) => {
+        for (let i = from; i < lines.length; i++) {
+            if (!lines[i].trim()) return null;
+            if (isBorder(i)) return i > from ? i : null;
+        }
+        return null;
+    };
+
+    const first = closingBorder(start + 1);
+    if (first === null) return null;
+    const second = first + 1 < lines.length && lines[first + 1].trim() ? closingBorder(first + 1) : null;
+
+    const readRows = (from, to) => {
+        const rows = [];
+        lines.slice(from, to).forEach(raw => {
+            const line = raw.slice(indent);
+            if (SIMPLE_UNDERLINE.test(line.trim())) return;
+
+            const texts = cutColumns(line, ranges);
+            if (rows.length > 0 && !texts[0].trim()) {
+                rows[rows.length - 1].forEach((cellLines, k) => cellLines.push(texts[k]));
+            } else {
+                rows.push(texts.map(text => [text]));
+            }
+        });
+        // A lone backslash stands for an empty first cell
+        return rows.map(row => row.map(joinCellLines).map(text => text === '\\' ? '' : text));
+    };
+
+    const rows = second === null
+        ? readRows(start + 1, first)
+        : [...readRows(start + 1, first), ...readRows(first + 1, second)];
+
+    return {
+        table: Table.createTable(rows[0], rows.slice(1)),
+        startLine: start,
+        endLine: (second === null ? first : second) + 1,
+        dialect: 'rst-simple'
+    };
+}
+
+// A line break in the first column would start a new row, so those become
+// spaces, as do blank lines in a cell, which would end the table
+function serializeSimpleTable(table) {
+    const data = Table.normalizeTable(table);
+    const rows = [data.headers, ...data.rows].map(row => row.map((text, i) => {
+        if (i > 0) return text.split(/\r?\n/).filter(line => line.trim());
+        return [text.replace(/\s*\r?\n\s*/g, ' ') || '\\'];
+    }));
+    const widths = columnWidths(rows.map(row => row.map(cellLines => cellLines.join('\n'))), 1);
+
+    const border = widths.map(width => '='.repeat(width)).join('  ');
+    const rowLines = (row) => {
+        const height = Math.max(...row.map(cellLines => cellLines.length));
+        return Array.from({ length: height }, (_, n) =>
+            row.map((cellLines, i) => Table.padCell(cellLines[n] || '', widths[i], 'left')).join('  ').trimEnd());
+    };
+
+    const body = rows.slice(1).flatMap(rowLines);
+    const lines = body.length > 0
+        ? [border, ...rowLines(rows[0]), border, ...body, border]
+        : [border, ...rowLines(rows[0]), border];
+    return lines.join('\n') + '\n';
+}
+
+// Helpers
+
+// reStructuredText rather than Markdown: it has directives or comments
+// (lines starting with "..") or simple tables
+function looksLikeRst(lines) {
+    return lines.some(line => /^\s*\.\.(?: |$)/.test(line) || SIMPLE_BORDER.test(line.trim()));
+}
+
+function leadingSpace(line) {
+    return line.match(/^ */)[0].length;
+}
+
+// The parts of a line between display columns: one per { from, to } range,
+// a `to` of null meaning the end of the line
+function cutColumns(line, ranges) {
+    if (/^[\x20-\x7E]*$/.test(line)) {
+        return ranges.map(({ from, to }) => line.slice(from, to === null ? undefined : to));
+    }
+
+    const texts = ranges.map(() => '');
+    let column = 0;
+    Table.splitGraphemes(line).forEach(grapheme => {
+        const k = ranges.findIndex(({ from, to }) => column >= from && (to === null || column < to));
+        if (k !== -1) texts[k] += grapheme;
+        column += Table.graphemeWidth(grapheme);
+    });
+    return texts;
+}
+
+// A cell from its lines: blank lines around it and the indentation they
+// share removed, line breaks kept
+function joinCellLines(parts) {
+    const lines = parts.map(part => part.trimEnd());
+    while (lines.length > 0 && !lines[0]) lines.shift();
+    while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
+
+    const indent = Math.min(...lines.filter(Boolean).map(leadingSpace));
+    return lines.map(line => line.slice(indent)).join('\n');
+}
+
+// Widest line of each column's cells, never below `minimum`
+function columnWidths(rows, minimum) {
+    const widths = [];
+    rows.forEach(row => {
+        row.forEach((text, i) => {
+            const widest = Math.max(...text.split('\n').map(Table.displayWidth));
+            widths[i] = Math.max(widths[i] || minimum, widest);
+        });
+    });
+    return widths;
+}
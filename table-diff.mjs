@@ -0,0 +1,316 @@
+// Table Diff
+//
+// Compares two versions of a table from the table model (table-model.mjs),
+// with no DOM access, e.g. the table as first loaded and as it is now.
+// Columns are matched by header, so moved columns are told apart from
+// edited ones. Rows are matched by their cells, whatever their order, and
+// the rows left over are paired with the most similar one as modified.
+//
+// diffTables() returns { before, after, columns, rows, counts }, with both
+// tables padded to their header width. `columns` and `rows` are in display
+// order: the new table's, with removed ones placed where they were.
+// A column is { before, after, header, status, moved, renamed, realigned },
+// a row { before, after, status, moved, cells }, where before and after are
+// indexes in each table (null when missing), status is 'same', 'added',
+// 'removed' or 'modified' (rows only), and `cells` has the status of the
+// row's cell in each display column.
+
+import * as Table from './table-model.mjs';
+
+// Leftover rows compared with an added row, per cell value
+const MAX_CANDIDATES = 50;
+
+// Longest values quoted in a summary
+const MAX_SUMMARY_TEXT = 40;
+
+export function diffTables(original, current) {
+    const before = Table.normalizeTable(original);
+    const after = Table.normalizeTable(current);
+    const columns = diffColumns(before, after);
+    const pairs = columns.filter(column => column.before !== null && column.after !== null);
+    const rows = diffRows(before, after, pairs);
+
+    const cell = (row, column) => {
+        if (row.status !== 'modified' && row.status !== 'same') return row.status;
+        if (column.status !== 'same') return column.status;
+        return before.rows[row.before][column.before] === after.rows[row.after][column.after] ? 'same' : 'modified';
+    };
+    rows.forEach(row => {
+        row.cells = columns.map(column => cell(row, column));
+        if (row.status === 'same' && row.cells.some(status => status === 'modified')) row.status = 'modified';
+    });
+
+    const count = (list, test) => list.filter(test).length;
+    const counts = {
+        rowsAdded: count(rows, row => row.status === 'added'),
+        rowsRemoved: count(rows, row => row.status === 'removed'),
+        rowsModified: count(rows, row => row.status === 'modified'),
+        rowsMoved: count(rows, row => row.moved),
+        cellsModified: rows.reduce((sum, row) => sum + count(row.cells, status => status === 'modified'), 0),
+        columnsAdded: count(columns, column => column.status === 'added'),
+        columnsRemoved: count(columns, column => column.status === 'removed'),
+        columnsMoved: count(columns, column => column.moved),
+        columnsRenamed: count(columns, column => column.renamed),
+        columnsRealigned: count(columns, column => column.realigned)
+    };
+
+    return { before, after, columns, rows, counts };
+}
+
+// Whether a diff found anything
+export function hasChanges(diff) {
+    return Object.values(diff.counts).some(n => n > 0);
+}
+
+// A few lines describing the changes, e.g. for a commit message: a headline
+// with the counts, then one line per column and (up to `maxRows`) row change.
+// A row that was both edited and moved gets a line for each.
+export function summarizeDiff(diff, { maxRows = 10 } = {}) {
+    if (!hasChanges(diff)) return 'No changes';
+
+    const { before, after, counts } = diff;
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const headline = [
+        [counts.rowsAdded, 'row', 'added'],
+        [counts.rowsRemoved, 'row', 'removed'],
+        [counts.rowsModified, 'row', 'changed'],
+        [counts.rowsMoved, 'row', 'moved'],
+        [counts.columnsAdded, 'column', 'added'],
+        [counts.columnsRemoved, 'column', 'removed'],
+        [counts.columnsRenamed, 'column', 'renamed'],
+        [counts.columnsMoved, 'column', 'moved'],
+        [counts.columnsRealigned, 'column', 'realigned']
+    ].filter(([n]) => n > 0).map(([n, word, action]) => `${plural(n, word)} ${action}`);
+
+    const lines = [headline.join(', ')];
+    const name = (column) => quote(column.header || `Column ${(column.after ?? column.before) + 1}`);
+
+    diff.columns.forEach(column => {
+        if (column.status === 'added') lines.push(`- Added column ${name(column)}`);
+        if (column.status === 'removed') lines.push(`- Removed column ${name(column)}`);
+        if (column.renamed) lines.push(`- Renamed column ${quote(before.headers[column.before])} to ${name(column)}`);
+        if (column.moved) lines.push(`- Moved column ${name(column)} from position ${column.before + 1} to ${column.after + 1}`);
+        if (column.realigned) lines.push(`- Aligned column ${name(column)} ${after.alignments[column.after] === 'none' ? 'by default' : after.alignments[column.after]}`);
+    });
+
+    // Rows are named by the original first column, wherever it went
+    const first = diff.columns.find(column => column.before === 0);
+    const label = (row) => row.before !== null
+        ? rowLabel(before.rows[row.before][0], row.before)
+        : rowLabel(first && first.after !== null ? after.rows[row.after][first.after] : after.rows[row.after][0], row.after);
+
+    const changed = diff.rows.filter(row => row.status !== 'same' || row.moved);
+    changed.slice(0, maxRows).forEach(row => {
+        if (row.status === 'added') {
+            lines.push(`- Added row ${label(row)}`);
+        } else if (row.status === 'removed') {
+            lines.push(`- Removed row ${label(row)}`);
+        } else if (row.status === 'modified') {
+            const edits = [];
+            row.cells.forEach((status, i) => {
+                if (status !== 'modified') return;
+                const column = diff.columns[i];
+                const from = before.rows[row.before][column.before];
+                const to = after.rows[row.after][column.after];
+                edits.push(`${column.header || `column ${column.after + 1}`}: ${quote(from)} → ${quote(to)}`);
+            });
+            const shown = edits.slice(0, 3).join(', ');
+            const more = edits.length > 3 ? ` and ${plural(edits.length - 3, 'more cell')}` : '';
+            lines.push(`- Changed row ${label(row)}: ${shown}${more}`);
+        }
+        if (row.moved) {
+            lines.push(`- Moved row ${label(row)} from position ${row.before + 1} to ${row.after + 1}`);
+        }
+    });
+    if (changed.length > maxRows) {
+        lines.push(`- …and ${plural(changed.length - maxRows, 'more row')}`);
+    }
+
+    return lines.join('\n');
+}
+
+// Columns matched by header (ignoring case and surrounding space, repeated
+// headers in order). Of the rest, columns at the same position in both
+// tables count as renamed.
+function diffColumns(before, after) {
+    const beforeMatch = new Array(before.headers.length).fill(null);
+    const afterMatch = new Array(after.headers.length).fill(null);
+    const key = (header) => header.trim().toLowerCase();
+
+    const queues = new Map();
+    before.headers.forEach((header, i) => {
+        if (!queues.has(key(header))) queues.set(key(header), []);
+        queues.get(key(header)).push(i);
+    });
+    after.headers.forEach((header, j) => {
+        const queue = queues.get(key(header));
+        if (queue && queue.length > 0) link(beforeMatch, afterMatch, queue.shift(), j);
+    });
+    afterMatch.forEach((match, j) => {
+        if (match === null && j < beforeMatch.length && beforeMatch[j] === null) link(beforeMatch, afterMatch, j, j);
+    });
+
+    const moved = movedIndexes(afterMatch);
+    const columns = mergeOrder(beforeMatch, afterMatch).map(({ before: i, after: j }) => {
+        if (j === null) {
+            return { before: i, after: null, header: before.headers[i], status: 'removed', moved: false, renamed: false, realigned: false };
+        }
+        if (i === null) {
+            return { before: null, after: j, header: after.headers[j], status: 'added', moved: false, renamed: false, realigned: false };
+        }
+        return {
+            before: i,
+            after: j,
+            header: after.headers[j],
+            status: 'same',
+            moved: moved.has(j),
+            renamed: before.headers[i] !== after.headers[j],
+            realigned: (before.alignments[i] || 'none') !== (after.alignments[j] || 'none')
+        };
+    });
+
+    return columns;
+}
+
+// Rows matched by their cells in the matched columns, then leftover rows
+// paired by similarity, then by position
+function diffRows(before, after, pairs) {
+    const beforeMatch = new Array(before.rows.length).fill(null);
+    const afterMatch = new Array(after.rows.length).fill(null);
+    const cells = (table, row, side) => pairs.map(pair => table.rows[row][pair[side]]);
+    const key = (values) => values.join('\u0000');
+
+    const queues = new Map();
+    before.rows.forEach((_, i) => {
+        const k = key(cells(before, i, 'before'));
+        if (!queues.has(k)) queues.set(k, []);
+        queues.get(k).push(i);
+    });
+    after.rows.forEach((_, j) => {
+        const queue = queues.get(key(cells(after, j, 'after')));
+        if (queue && queue.length > 0) link(beforeMatch, afterMatch, queue.shift(), j);
+    });
+
+    pairSimilarRows(before, after, pairs, beforeMatch, afterMatch);
+    afterMatch.forEach((match, j) => {
+        if (match === null && j < beforeMatch.length && beforeMatch[j] === null) link(beforeMatch, afterMatch, j, j);
+    });
+
+    const moved = movedIndexes(afterMatch);
+    return mergeOrder(beforeMatch, afterMatch).map(({ before: i, after: j }) => ({
+        before: i,
+        after: j,
+        status: j === null ? 'removed' : i === null ? 'added' : 'same',
+        moved: j !== null && moved.has(j),
+        cells: []
+    }));
+}
+
+// Pair each unmatched new row with the unmatched old row sharing the most
+// non-empty cells, if they share at least half of the new row's
+function pairSimilarRows(before, after, pairs, beforeMatch, afterMatch) {
+    // Leftover old rows by column and value
+    const index = pairs.map(() => new Map());
+    beforeMatch.forEach((match, i) => {
+        if (match !== null) return;
+        pairs.forEach((pair, k) => {
+            const value = before.rows[i][pair.before];
+            if (!value) return;
+            if (!index[k].has(value)) index[k].set(value, []);
+            index[k].get(value).push(i);
+        });
+    });
+
+    afterMatch.forEach((match, j) => {
+        if (match !== null) return;
+
+        const scores = new Map();
+        let filled = 0;
+        pairs.forEach((pair, k) => {
+            const value = after.rows[j][pair.after];
+            if (!value) return;
+            filled++;
+
+            let seen = 0;
+            for (const i of index[k].get(value) || []) {
+                if (beforeMatch[i] !== null) continue;
+                scores.set(i, (scores.get(i) || 0) + 1);
+                if (++seen >= MAX_CANDIDATES) break;
+            }
+        });
+
+        let best = null;
+        scores.forEach((score, i) => {
+            if (best === null || score > scores.get(best)) best = i;
+        });
+        if (best !== null && scores.get(best) * 2 >= filled) link(beforeMatch, afterMatch, best, j);
+    });
+}
+
+function link(beforeMatch, afterMatch, i, j) {
+    beforeMatch[i] = j;
+    afterMatch[j] = i;
+}
+
+// New indexes of matched items that changed places: those outside the
+// longest run that kept its order
+function movedIndexes(afterMatch) {
+    const matched = [];
+    afterMatch.forEach((i, j) => {
+        if (i !== null) matched.push({ i, j });
+    });
+
+    // Longest increasing subsequence of the old indexes, in new order
+    const tails = [];
+    const previous = new Array(matched.length);
+    matched.forEach(({ i }, n) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (matched[tails[mid]].i < i) low = mid + 1; else high = mid;
+        }
+        previous[n] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = n;
+    });
+
+    const kept = new Set();
+    for (let n = tails.length > 0 ? tails[tails.length - 1] : -1; n !== -1; n = previous[n]) {
+        kept.add(matched[n].j);
+    }
+    return new Set(matched.filter(({ j }) => !kept.has(j)).map(({ j }) => j));
+}
+
+// Every new item in order, each old item that was removed placed after the
+// item that came before it in the old table
+function mergeOrder(beforeMatch, afterMatch) {
+    const removedAfter = new Map();
+    let last = -1;
+    beforeMatch.forEach((match, i) => {
+        if (match !== null) {
+            last = match;
+            return;
+        }
+        if (!removedAfter.has(last)) removedAfter.set(last, []);
+        removedAfter.get(last).push(i);
+    });
+
+    const order = [];
+    const addRemoved = (j) => (removedAfter.get(j) || []).forEach(i => order.push({ before: i, after: null }));
+    addRemoved(-1);
+    afterMatch.forEach((i, j) => {
+        order.push({ before: i, after: j });
+        addRemoved(j);
+    });
+    return order;
+}
+
+// A row named by a cell, or by its position when the cell is empty
+function rowLabel(text, index) {
+    return text && text.trim() ? quote(text) : `${index + 1}`;
+}
+
+function quote(text) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return `"${flat.length > MAX_SUMMARY_TEXT ? flat.slice(0, MAX_SUMMARY_TEXT - 1) + '…' : flat}"`;
+}
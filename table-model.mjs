@@ -0,0 +1,853 @@
+// Markdown Table Model
+//
+// Plain data and pure functions for GFM tables, with no DOM access so the
+// same code runs in the browser editor and in Node.
+//
+// A table is { headers, rows, alignments }: header texts, body rows of cell
+// texts and one alignment per column ('left', 'center', 'right' or 'none').
+// Body rows may be ragged (shorter or longer than the header) - that is how
+// they were written, and normalizeTable() evens them out when asked.
+// Functions never change the table they are given; they return a new one.
+
+export function createTable(headers = [], rows = [], alignments = []) {
+    return {
+        headers: headers.slice(),
+        rows: rows.map(row => row.slice()),
+        alignments: headers.map((_, i) => alignments[i] || 'none')
+    };
+}
+
+export function cloneTable(table) {
+    return createTable(table.headers, table.rows, table.alignments);
+}
+
+// Parsing
+
+// The first table in a piece of markdown, or null
+export function parseTable(markdown) {
+    const tables = findTables(markdown);
+    return tables.length > 0 ? tables[0].table : null;
+}
+
+// Locate every table in a markdown document. Each entry records the line
+// range it occupies (endLine is exclusive) so edits can be written back.
+// `parseAt` recognizes a table starting at a line, GFM by default (see
+// table-dialects.mjs for the other formats). Tables in fenced code blocks are
+// skipped, and so are those in indented code blocks unless `indentedCode` is
+// false (formats without them, where indenting means something else).
+export function findTables(markdown, parseAt = parseTableAt, { indentedCode = true } = {}) {
+    const lines = markdown.split(/\r?\n/);
+    const tables = [];
+    let fence = null;
+    // Content column of the last list item, which its indented lines start at
+    let listIndent = 0;
+    let inCode = false;
+    let afterBlank = true;
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) {
+            afterBlank = true;
+            continue;
+        }
+        const wasAfterBlank = afterBlank;
+        afterBlank = false;
+
+        // Indented code starts after a blank line, four columns in from the
+        // list item it may be part of. A blank line followed by a line
+        // indented less than the list item ends the list.
+        if (indentedCode && !fence) {
+            const indent = indentWidth(lines[i]);
+            if (wasAfterBlank && indent < listIndent) listIndent = 0;
+            inCode = indent >= listIndent + 4 && (wasAfterBlank || inCode);
+            if (inCode) continue;
+
+            const item = lines[i].match(/^\s*(?:[-+*]|\d{1,9}[.)])(?:\s+|$)/);
+            if (item) listIndent = indentWidth(item[0]);
+        }
+
+        // Tables inside fenced code blocks are just code
+        const fenceMatch = lines[i].match(/^ {0,3}(`{3,}|~{3,})/);
+        if (fenceMatch) {
+            const marker = fenceMatch[1];
+            if (!fence) {
+                fence = marker;
+            } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+                fence = null;
+            }
+            continue;
+        }
+        if (fence) continue;
+
+        const found = parseAt(lines, i);
+        if (found) {
+            tables.push(found);
+            i = found.endLine - 1;
+        }
+    }
+
+    return tables;
+}
+
+// Columns taken up by the whitespace a line starts with, tabs stopping
+// every four columns
+function indentWidth(line) {
+    let width = 0;
+    for (const ch of line.match(/^\s*/)[0]) {
+        width = ch === '\t' ? width + 4 - width % 4 : width + 1;
+    }
+    return width;
+}
+
+// Parse a table whose header row is lines[start]: { table, startLine, endLine } or null
+export function parseTableAt(lines, start) {
+    if (start + 1 >= lines.length) return null;
+
+    // GFM: a header row followed by a delimiter row with the same number of cells
+    if (!lines[start].includes('|')) return null;
+    const headers = splitTableRow(lines[start]);
+    const specs = splitTableRow(lines[start + 1]);
+    if (!isSeparatorRow(specs) || specs.length !== headers.length) return null;
+
+    const rows = [];
+
+    // Body rows continue until a blank line or a line that is not a table row
+    let end = start + 2;
+    while (end < lines.length) {
+        const line = lines[end].trim();
+        if (!line || !line.includes('|')) break;
+
+        rows.push(splitTableRow(line));
+        end++;
+    }
+
+    return {
+        table: { headers, rows, alignments: specs.map(parseAlignment) },
+        startLine: start,
+        endLine: end
+    };
+}
+
+// Split one table row into cell texts following GFM rules: leading and
+// trailing pipes are optional and `\|` is a literal pipe. Pipes inside
+// code spans and HTML tags do not start a new cell. A <br> tag is a line
+// break in the cell.
+export function splitTableRow(line) {
+    const text = line.trim();
+    const cells = [];
+    let current = '';
+    let endsWithPipe = false;
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+        endsWithPipe = false;
+
+        if (ch === '\\' && i + 1 < text.length) {
+            // Unescape pipes, keep every other escape as written
+            current += text[i + 1] === '|' ? '|' : ch + text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (ch === '`') {
+            const end = findCodeSpanEnd(text, i);
+            current += text.slice(i, end);
+            i = end;
+            continue;
+        }
+
+        if (ch === '<') {
+            const tag = matchHtmlTag(text, i);
+            if (tag) {
+                current += /^<br\s*\/?>$/i.test(tag) ? '\n' : tag;
+                i += tag.length;
+                continue;
+            }
+        }
+
+        if (ch === '|') {
+            cells.push(trimCell(current));
+            current = '';
+            endsWithPipe = true;
+            i++;
+            continue;
+        }
+
+        current += ch;
+        i++;
+    }
+    cells.push(trimCell(current));
+
+    // Outer pipes delimit the row rather than empty cells
+    if (text.startsWith('|')) cells.shift();
+    if (endsWithPipe) cells.pop();
+
+    return cells;
+}
+
+// Trim spaces around a cell, but not the line breaks that came from <br>
+function trimCell(text) {
+    return text.replace(/^[^\S\n]+|[^\S\n]+$/g, '');
+}
+
+// Index just past the code span opening at `start`, or past the backtick
+// run itself when it has no closing run of the same length
+function findCodeSpanEnd(text, start) {
+    let runLength = 0;
+    while (text[start + runLength] === '`') runLength++;
+
+    let i = start + runLength;
+    while (i < text.length) {
+        if (text[i] !== '`') {
+            i++;
+            continue;
+        }
+
+        let closeLength = 0;
+        while (text[i + closeLength] === '`') closeLength++;
+        if (closeLength === runLength) return i + closeLength;
+        i += closeLength;
+    }
+
+    return start + runLength;
+}
+
+// Raw HTML tag or comment starting at `start`, if there is one
+function matchHtmlTag(text, start) {
+    const match = text.slice(start).match(/^(?:<!--[\s\S]*?-->|<\/?[A-Za-z][A-Za-z0-9-]*(?:\s[^<>]*)?\/?>)/);
+    return match ? match[0] : null;
+}
+
+export function isSeparatorRow(cells) {
+    return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell));
+}
+
+// Map a separator cell like ':---:' to an alignment name
+export function parseAlignment(spec) {
+    const left = spec.startsWith(':');
+    const right = spec.endsWith(':') && spec.length > 1;
+
+    if (left && right) return 'center';
+    if (left) return 'left';
+    if (right) return 'right';
+    return 'none';
+}
+
+// Serializing
+
+// Markdown for a table, ending with a newline. With `pretty` every cell is
+// padded to its column's display width so the pipes line up; pass `widths`
+// when they have already been measured with getColumnWidths().
+export function serializeTable(table, { pretty = false, widths = null } = {}) {
+    const alignments = table.alignments || [];
+    const rows = table.rows.filter(row => row.length > 0);
+    const columnWidths = pretty ? widths || getColumnWidths(table) : null;
+
+    let markdown = '';
+
+    if (table.headers.length > 0) {
+        markdown += serializeRow(table.headers, columnWidths, alignments) + '\n';
+
+        // Separator line after the header, preserving alignment
+        const separator = table.headers.map((_, i) => alignmentToSeparator(alignments[i], columnWidths ? columnWidths[i] : null));
+        markdown += '| ' + separator.join(' | ') + ' |\n';
+    }
+
+    rows.forEach(row => {
+        markdown += serializeRow(row, columnWidths, alignments) + '\n';
+    });
+
+    return markdown;
+}
+
+// One table line. With `widths` (from getColumnWidths) the cells are padded
+// to them, so a single edited row can be rewritten on its own.
+export function serializeRow(cells, widths = null, alignments = []) {
+    const texts = cells.map(escapeCellText);
+    const padded = widths
+        ? texts.map((text, i) => padCell(text, widths[i], alignments[i]))
+        : texts;
+    return '| ' + padded.join(' | ') + ' |';
+}
+
+// Display width of a cell as written to markdown, i.e. with pipes escaped
+export function cellWidth(text) {
+    return displayWidth(escapeCellText(text));
+}
+
+// Escape pipes so the text stays in one cell, leaving code spans and
+// HTML tags untouched since the parser already keeps those together.
+// Line breaks are written as <br> so the row stays on one line.
+export function escapeCellText(text) {
+    let result = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (ch === '\\' && i + 1 < text.length) {
+            result += ch + text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (ch === '`') {
+            const end = findCodeSpanEnd(text, i);
+            result += text.slice(i, end).replace(/\r\n?|\n/g, '<br>');
+            i = end;
+            continue;
+        }
+
+        if (ch === '<') {
+            const tag = matchHtmlTag(text, i);
+            if (tag) {
+                result += tag;
+                i += tag.length;
+                continue;
+            }
+        }
+
+        if (ch === '\r' || ch === '\n') {
+            result += '<br>';
+            i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+            continue;
+        }
+
+        result += ch === '|' ? '\\|' : ch;
+        i++;
+    }
+
+    return result;
+}
+
+// Map an alignment name back to separator syntax, optionally filling a column width
+export function alignmentToSeparator(alignment, width = null) {
+    const left = alignment === 'left' || alignment === 'center';
+    const right = alignment === 'right' || alignment === 'center';
+    const dashes = width === null ? 3 : width - (left ? 1 : 0) - (right ? 1 : 0);
+
+    return (left ? ':' : '') + '-'.repeat(dashes) + (right ? ':' : '');
+}
+
+// Widest cell per column, never narrower than the three separator dashes
+export function getColumnWidths(table) {
+    const widths = [];
+    [table.headers, ...table.rows].forEach(row => {
+        row.forEach((text, i) => {
+            widths[i] = Math.max(widths[i] || 3, cellWidth(text));
+        });
+    });
+    return widths;
+}
+
+// Pad text with spaces to a display width, on the side the alignment asks for
+export function padCell(text, width, alignment) {
+    const padding = Math.max(0, width - displayWidth(text));
+
+    if (alignment === 'right') return ' '.repeat(padding) + text;
+    if (alignment === 'center') {
+        const left = Math.floor(padding / 2);
+        return ' '.repeat(left) + text + ' '.repeat(padding - left);
+    }
+    return text + ' '.repeat(padding);
+}
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+// Terminal-style column width: wide CJK characters and emoji take two
+// columns, combining marks and zero-width characters take none
+export function displayWidth(text) {
+    // Plain ASCII is by far the common case and one column per character
+    if (/^[\x20-\x7E]*$/.test(text)) return text.length;
+
+    return splitGraphemes(text).reduce((width, grapheme) => width + graphemeWidth(grapheme), 0);
+}
+
+// User-perceived characters, e.g. an emoji with its modifiers
+export function splitGraphemes(text) {
+    return graphemeSegmenter
+        ? Array.from(graphemeSegmenter.segment(text), part => part.segment)
+        : Array.from(text);
+}
+
+// Columns one grapheme takes (0, 1 or 2)
+export function graphemeWidth(grapheme) {
+    if (/\p{Emoji_Presentation}|\uFE0F|\p{Regional_Indicator}/u.test(grapheme)) return 2;
+
+    if (/^[\p{Mn}\p{Me}\p{Cf}\p{Cc}]+$/u.test(grapheme)) return 0;
+
+    const codePoint = grapheme.codePointAt(0);
+    const wideRanges = [
+        [0x1100, 0x115F], [0x2E80, 0x303E], [0x3041, 0x33FF], [0x3400, 0x4DBF],
+        [0x4E00, 0x9FFF], [0xA000, 0xA4CF], [0xAC00, 0xD7A3], [0xF900, 0xFAFF],
+        [0xFE30, 0xFE4F], [0xFF00, 0xFF60], [0xFFE0, 0xFFE6],
+        [0x20000, 0x2FFFD], [0x30000, 0x3FFFD]
+    ];
+    return wideRanges.some(([start, end]) => codePoint >= start && codePoint <= end) ? 2 : 1;
+}
+
+// Cells and structure. Row 0 is the header row; body rows start at 1.
+
+export function getCell(table, row, col) {
+    const cells = row === 0 ? table.headers : table.rows[row - 1];
+    return (cells && cells[col]) || '';
+}
+
+// Set one cell, padding a short row with empty cells to reach it
+export function setCell(table, row, col, text) {
+    const result = { ...table, rows: table.rows.slice() };
+    const cells = (row === 0 ? table.headers : table.rows[row - 1] || []).slice();
+    while (cells.length < col) cells.push('');
+    cells[col] = text;
+
+    if (row === 0) {
+        result.headers = cells;
+    } else {
+        result.rows[row - 1] = cells;
+    }
+    return result;
+}
+
+// Body rows cut or padded to the header width, the way GFM renders them
+export function normalizeTable(table) {
+    const width = table.headers.length;
+    return createTable(
+        table.headers,
+        table.rows.map(row => row.slice(0, width).concat(Array(Math.max(0, width - row.length)).fill(''))),
+        table.alignments
+    );
+}
+
+// Insert a body row before body row `index` (0-based); an empty row by default
+export function insertRow(table, index = table.rows.length, cells = null) {
+    const rows = table.rows.slice();
+    rows.splice(index, 0, cells ? cells.slice() : Array(table.headers.length).fill(''));
+    return { ...table, rows };
+}
+
+// Delete `count` body rows starting at `index`
+export function deleteRow(table, index, count = 1) {
+    if (index < 0 || index >= table.rows.length) return table;
+
+    const rows = table.rows.slice();
+    rows.splice(index, count);
+    return { ...table, rows };
+}
+
+// Insert a copy of body row `index` before row `to` (by default just below it)
+export function duplicateRow(table, index, to = index + 1) {
+    if (!table.rows[index]) return table;
+    return insertRow(table, to, table.rows[index]);
+}
+
+// Move a body row so it ends up at index `to`
+export function moveRow(table, from, to) {
+    if (from === to || !table.rows[from]) return table;
+
+    const rows = table.rows.slice();
+    const [row] = rows.splice(from, 1);
+    rows.splice(to, 0, row);
+    return { ...table, rows };
+}
+
+// Insert a column before column `index`. Body rows too short to reach it are left alone.
+export function insertColumn(table, index = table.headers.length, header = '', alignment = 'none') {
+    const insert = (cells, value) => {
+        const copy = cells.slice();
+        if (index <= copy.length) copy.splice(index, 0, value);
+        return copy;
+    };
+
+    return {
+        headers: insert(table.headers, header),
+        rows: table.rows.map(row => insert(row, '')),
+        alignments: insert(table.alignments, alignment)
+    };
+}
+
+// Delete `count` columns starting at `index`
+export function deleteColumn(table, index, count = 1) {
+    if (index < 0 || index >= table.headers.length) return table;
+
+    const remove = (cells) => cells.filter((_, i) => i < index || i >= index + count);
+    return {
+        headers: remove(table.headers),
+        rows: table.rows.map(remove),
+        alignments: remove(table.alignments)
+    };
+}
+
+// Insert a copy of column `index` (header, alignment and cells) before column
+// `to`, by default just right of it. Rows too short to reach `to` are left alone.
+export function duplicateColumn(table, index, to = index + 1) {
+    if (index < 0 || index >= table.headers.length) return table;
+
+    const copy = (cells) => {
+        const result = cells.slice();
+        if (index < cells.length && to <= cells.length) result.splice(to, 0, cells[index]);
+        return result;
+    };
+
+    return {
+        headers: copy(table.headers),
+        rows: table.rows.map(copy),
+        alignments: copy(table.alignments)
+    };
+}
+
+// Move a column so it ends up at index `to`, shifting the columns in between.
+// Alignment travels with its column.
+export function moveColumn(table, from, to) {
+    if (from === to) return table;
+
+    const move = (cells) => {
+        if (from >= cells.length) return cells.slice();
+        const copy = cells.slice();
+        const [cell] = copy.splice(from, 1);
+        copy.splice(Math.min(to, copy.length), 0, cell);
+        return copy;
+    };
+
+    return {
+        headers: move(table.headers),
+        rows: table.rows.map(move),
+        alignments: move(table.alignments)
+    };
+}
+
+// Index of the column with this header (ignoring case and surrounding space), or -1
+export function findColumn(table, name) {
+    const wanted = name.trim().toLowerCase();
+    return table.headers.findIndex(header => header.trim().toLowerCase() === wanted);
+}
+
+export function setAlignment(table, col, alignment) {
+    if (col < 0 || col >= table.headers.length) return table;
+
+    const alignments = table.alignments.slice();
+    alignments[col] = alignment;
+    return { ...table, alignments };
+}
+
+// Transforms
+
+// Swap rows and columns: the first column becomes the header row
+export function transposeTable(table) {
+    const { headers, rows } = normalizeTable(table);
+    const grid = [headers, ...rows];
+    const [newHeaders = [], ...newRows] = headers.map((_, col) => grid.map(cells => cells[col]));
+    return createTable(newHeaders, newRows);
+}
+
+// Split column `col` into `count` columns at `separator` (a string or RegExp).
+// A RegExp with capture groups splits each cell into its groups instead, e.g.
+// /(.*) <(.*)>/ for "Name <email>". New header cells that the split leaves
+// empty are named after the original header.
+export function splitColumn(table, col, separator, count) {
+    if (col < 0 || col >= table.headers.length || count < 2) return table;
+
+    const split = (cells, parts) => {
+        if (col >= cells.length) return cells.slice();
+        return [...cells.slice(0, col), ...parts, ...cells.slice(col + 1)];
+    };
+    const headerParts = splitText(table.headers[col], separator, count)
+        .map((part, i) => part || `${table.headers[col]} ${i + 1}`.trim());
+
+    return {
+        headers: split(table.headers, headerParts),
+        rows: table.rows.map(cells => split(cells, splitText(cells[col] || '', separator, count))),
+        alignments: split(table.alignments, Array(count).fill(table.alignments[col] || 'none'))
+    };
+}
+
+// Exactly `count` trimmed parts of a cell; text past the last split stays in the last part
+function splitText(text, separator, count) {
+    const pattern = separator instanceof RegExp
+        ? separator
+        : new RegExp(separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const flags = pattern.flags.replace('g', '');
+    const groups = new RegExp(`${pattern.source}|`, flags).exec('').length - 1;
+
+    let parts;
+    if (groups > 0) {
+        const match = new RegExp(pattern.source, flags).exec(text);
+        parts = match ? match.slice(1, count + 1).map(part => part || '') : [text];
+    } else {
+        parts = [];
+        const matcher = new RegExp(pattern.source, `${flags}g`);
+        let start = 0;
+        let match;
+        while (parts.length < count - 1 && (match = matcher.exec(text))) {
+            // Empty matches (e.g. from /,?/) don't split anything
+            if (match[0] === '') {
+                matcher.lastIndex++;
+                continue;
+            }
+            parts.push(text.slice(start, match.index));
+            start = match.index + match[0].length;
+        }
+        parts.push(text.slice(start));
+    }
+
+    parts = parts.map(part => part.trim());
+    while (parts.length < count) parts.push('');
+    return parts;
+}
+
+// Merge two or more columns into the leftmost of them, joining the non-empty
+// cells of each row with `separator`
+export function mergeColumns(table, columns, separator = ' ') {
+    const merged = [...new Set(columns)]
+        .filter(col => col >= 0 && col < table.headers.length)
+        .sort((a, b) => a - b);
+    if (merged.length < 2) return table;
+
+    const [target, ...removed] = merged;
+    const remove = (cells) => cells.filter((_, i) => !removed.includes(i));
+    const merge = (cells) => {
+        if (target >= cells.length) return cells.slice();
+        const result = cells.slice();
+        result[target] = merged.map(col => cells[col] || '').filter(text => text.trim() !== '').join(separator);
+        return remove(result);
+    };
+
+    return {
+        headers: merge(table.headers),
+        rows: table.rows.map(merge),
+        alignments: remove(table.alignments)
+    };
+}
+
+// Fill empty cells in the given columns with the nearest value above them,
+// for body rows `start` to `end` (0-based). The header is never copied down.
+export function fillDown(table, columns, start = 0, end = table.rows.length - 1) {
+    const rows = table.rows.slice();
+
+    columns.forEach(col => {
+        let previous = start > 0 ? getCell(table, start, col) : '';
+        for (let row = start; row <= end && row < rows.length; row++) {
+            const text = rows[row][col] || '';
+            if (text.trim() !== '') {
+                previous = text;
+            } else if (previous !== '') {
+                const cells = rows[row].slice();
+                while (cells.length < col) cells.push('');
+                cells[col] = previous;
+                rows[row] = cells;
+            }
+        }
+    });
+
+    return { ...table, rows };
+}
+
+// Filtering
+
+// What was typed into a column's filter box: text to look for (ignoring
+// case), "=text" or "!=text" for whole cells, "/regex/flags", or a number
+// comparison such as ">10" or "<=2.5". Returns { op, value }, or null when the
+// box is empty. Throws a SyntaxError for an invalid regex.
+export function parseFilter(text) {
+    const query = text.trim();
+    if (!query) return null;
+
+    const regex = query.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) return { op: 'regex', value: new RegExp(regex[1], regex[2].replace(/[gy]/g, '')) };
+
+    const comparison = query.match(/^(>=|<=|>|<)\s*(.+)$/);
+    if (comparison && parseNumber(comparison[2]) !== null) {
+        return { op: comparison[1], value: parseNumber(comparison[2]) };
+    }
+
+    const equality = query.match(/^(!=|=)\s*(.*)$/);
+    if (equality) return { op: equality[1], value: equality[2].toLowerCase() };
+
+    return { op: 'contains', value: query.toLowerCase() };
+}
+
+export function matchesFilter(text, filter) {
+    const value = text.trim();
+    switch (filter.op) {
+        case 'regex': return filter.value.test(value);
+        case '=': return value.toLowerCase() === filter.value;
+        case '!=': return value.toLowerCase() !== filter.value;
+        case 'contains': return value.toLowerCase().includes(filter.value);
+    }
+
+    // Cells that aren't numbers never pass a comparison
+    const number = parseNumber(value);
+    if (number === null) return false;
+    switch (filter.op) {
+        case '>': return number > filter.value;
+        case '>=': return number >= filter.value;
+        case '<': return number < filter.value;
+        case '<=': return number <= filter.value;
+        default: return false;
+    }
+}
+
+// Indexes of the body rows that pass every column's filter (one parsed
+// filter or null per column)
+export function filterRows(table, filters) {
+    const active = filters
+        .map((filter, col) => ({ filter, col }))
+        .filter(({ filter }) => filter);
+
+    const indexes = [];
+    table.rows.forEach((cells, index) => {
+        if (active.every(({ filter, col }) => matchesFilter(cells[col] || '', filter))) {
+            indexes.push(index);
+        }
+    });
+    return indexes;
+}
+
+// Sorting
+
+const textCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Stable sort of the body rows by each key in turn ({ column, direction },
+// primary first). Empty cells go last whichever way a column is sorted.
+export function sortRows(table, keys) {
+    if (keys.length === 0) return table;
+
+    const entries = table.rows.map((row, index) => ({
+        row,
+        index,
+        values: row.map(text => text.trim())
+    }));
+
+    // Parse every value once up front rather than on each comparison
+    const typedKeys = keys.map(key => {
+        const values = entries.map(entry => entry.values[key.column] || '');
+        const type = detectColumnType(values);
+        return { ...key, type, parsed: values.map(value => parseValue(value, type)) };
+    });
+
+    entries.sort((a, b) => {
+        for (const key of typedKeys) {
+            const valueA = a.values[key.column] || '';
+            const valueB = b.values[key.column] || '';
+
+            if (!valueA || !valueB) {
+                if (valueA !== valueB) return valueA ? -1 : 1;
+                continue;
+            }
+
+            let result = compareParsed(key.parsed[a.index], key.parsed[b.index], key.type);
+            if (key.direction === 'desc') result = -result;
+            if (result !== 0) return result;
+        }
+        return a.index - b.index;
+    });
+
+    return { ...table, rows: entries.map(entry => entry.row) };
+}
+
+// The most specific type every non-empty value in a column satisfies
+export function detectColumnType(values) {
+    const present = values.filter(value => value !== '');
+    if (present.length === 0) return 'text';
+
+    if (present.every(value => parseNumber(value) !== null)) return 'number';
+    if (present.every(value => parseSemver(value) !== null)) return 'semver';
+    if (present.every(value => parseDate(value) !== null)) return 'date';
+    return 'text';
+}
+
+export function compareValues(a, b, type) {
+    return compareParsed(parseValue(a, type), parseValue(b, type), type);
+}
+
+function parseValue(text, type) {
+    switch (type) {
+        case 'number':
+            return parseNumber(text);
+        case 'semver':
+            return parseSemver(text);
+        case 'date':
+            return parseDate(text);
+        default:
+            return text;
+    }
+}
+
+function compareParsed(a, b, type) {
+    switch (type) {
+        case 'number':
+        case 'date':
+            return a - b;
+        case 'semver':
+            return compareSemver(a, b);
+        default:
+            return textCollator.compare(a, b);
+    }
+}
+
+// Numbers with optional sign, thousands separators, currency or percent sign
+export function parseNumber(text) {
+    const cleaned = text.trim()
+        .replace(/^([-+]?)[$€£¥]\s*/, '$1')
+        .replace(/\s*%$/, '');
+
+    if (!/\d/.test(cleaned)) return null;
+    if (!/^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?(e[-+]?\d+)?$/i.test(cleaned)) return null;
+
+    return Number(cleaned.replace(/,/g, ''));
+}
+
+export function parseSemver(text) {
+    const match = text.match(/^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+    if (!match) return null;
+
+    return {
+        version: [Number(match[1]), Number(match[2]), Number(match[3])],
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+}
+
+// Precedence rules from semver.org: a prerelease sorts before its release
+export function compareSemver(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a.version[i] !== b.version[i]) return a.version[i] - b.version[i];
+    }
+
+    if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+        return b.prerelease.length - a.prerelease.length;
+    }
+
+    const length = Math.max(a.prerelease.length, b.prerelease.length);
+    for (let i = 0; i < length; i++) {
+        const partA = a.prerelease[i];
+        const partB = b.prerelease[i];
+        if (partA === undefined) return -1;
+        if (partB === undefined) return 1;
+        if (partA === partB) continue;
+
+        const numericA = /^\d+$/.test(partA);
+        const numericB = /^\d+$/.test(partB);
+        if (numericA && numericB) return Number(partA) - Number(partB);
+        if (numericA !== numericB) return numericA ? -1 : 1;
+        return partA < partB ? -1 : 1;
+    }
+
+    return 0;
+}
+
+// Only recognise unambiguous date formats; Date.parse alone accepts
+// almost anything (e.g. "1" is the year 2001)
+export function parseDate(text) {
+    const formats = [
+        /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,
+        /^\d{4}\/\d{1,2}\/\d{1,2}$/,
+        /^\d{1,2}\/\d{1,2}\/\d{4}$/,
+        /^[A-Za-z]{3,9}\.? \d{1,2},? \d{4}$/,
+        /^\d{1,2} [A-Za-z]{3,9}\.? \d{4}$/
+    ];
+    if (!formats.some(format => format.test(text))) return null;
+
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : time;
+}